@@ -0,0 +1,147 @@
+// Append-only JSONL audit trail for mutating tool calls
+
+import { appendFile, mkdir, readFile } from 'fs/promises';
+import { homedir } from 'os';
+import { dirname, join } from 'path';
+import { getToolTables, isWriteTool } from './tool-policy.js';
+import { CONCURRENCY_PROPERTIES } from './tools/write-options.js';
+import { DRY_RUN_PROPERTY, isDryRun } from './tools/dry-run.js';
+
+// Tools that write their own, more detailed entries (one per record)
+const SELF_AUDITED_TOOLS = ['servicenow_delete_record', 'servicenow_batch', 'servicenow_bulk_update', 'servicenow_bulk_update_rollback'];
+// Tool arguments that address a record rather than being written to it
+const NON_FIELD_ARGS = ['sys_id', 'table', ...Object.keys(CONCURRENCY_PROPERTIES), ...Object.keys(DRY_RUN_PROPERTY)];
+
+/**
+ * @param {Object} env - Settings of the connection profile
+ * @returns {string}
+ */
+export function getAuditLogPath(env) {
+  return env.SERVICENOW_AUDIT_LOG || join(homedir(), '.servicenow-mcp', 'audit.jsonl');
+}
+
+/**
+ * Append one entry to the audit log. Failures are reported on stderr but never
+ * thrown, so a read-only disk cannot turn a completed change into an error.
+ * @param {Object} entry - Fields to record; a timestamp is added automatically
+ * @param {Object} env - Settings of the connection profile, for SERVICENOW_AUDIT_LOG
+ */
+export async function writeAuditEntry(entry, env) {
+  const path = getAuditLogPath(env);
+  try {
+    await mkdir(dirname(path), { recursive: true });
+    await appendFile(path, `${JSON.stringify({ timestamp: new Date().toISOString(), ...entry })}\n`, 'utf8');
+  } catch (error) {
+    console.error(`[Audit] Could not write to ${path}: ${error.message}`);
+  }
+}
+
+// Dry runs write nothing and are not recorded
+export function isAuditedTool(toolName, args, env) {
+  return isWriteTool(toolName) && !SELF_AUDITED_TOOLS.includes(toolName) && !isDryRun(args.dry_run, env);
+}
+
+function getSubmittedFields(args) {
+  if (args.data && typeof args.data === 'object') {
+    return args.data;
+  }
+  return Object.fromEntries(Object.entries(args).filter(([name]) => !NON_FIELD_ARGS.includes(name)));
+}
+
+/**
+ * Current values of the fields a write is about to overwrite, for prior_values.
+ * A failed read is recorded rather than thrown.
+ * @param {ServiceNowClient} client
+ * @param {string} table
+ * @param {string} sysId
+ * @param {string[]|null} fields - Fields to read; null reads the whole record, as before a delete
+ * @returns {Promise<Object>}
+ */
+export async function readPriorValues(client, table, sysId, fields) {
+  try {
+    const current = await client.getRecord(table, sysId, fields, { cache: false });
+    return current.result;
+  } catch (error) {
+    return { error: `could not read prior values: ${error.message}` };
+  }
+}
+
+/**
+ * Run a mutating tool call and append one audit entry with its outcome.
+ * @param {Object} call
+ * @param {string} call.tool - Tool name
+ * @param {string} call.profile - Connection profile the call runs against
+ * @param {ServiceNowClient} call.client
+ * @param {Object} call.args - Tool arguments
+ * @param {Function} run - Executes the tool and resolves with its {summary, data, isError} result
+ * @returns {Promise<Object>} The result of `run`
+ */
+export async function auditToolCall({ tool, profile, client, args }, run) {
+  const table = getToolTables(tool, args)[0] ?? null;
+  const fields = getSubmittedFields(args);
+  const isUpdate = /_update(_|$)/.test(tool) && table && args.sys_id && Object.keys(fields).length;
+  const entry = {
+    tool,
+    instance: client.instanceUrl,
+    profile,
+    table,
+    sys_id: args.sys_id ?? null,
+    fields,
+    prior_values: isUpdate ? await readPriorValues(client, table, args.sys_id, Object.keys(fields)) : null
+  };
+
+  try {
+    const result = await run();
+    const failed = Boolean(result.isError);
+    await writeAuditEntry({
+      ...entry,
+      // Creates only learn their sys_id from the result
+      sys_id: entry.sys_id ?? result.data?.record?.sys_id ?? null,
+      outcome: failed ? 'error' : 'success',
+      ...(failed && { error: result.summary.split('\n')[0] })
+    }, client.env);
+    return result;
+  } catch (error) {
+    await writeAuditEntry({ ...entry, outcome: 'error', error: error.message }, client.env);
+    throw error;
+  }
+}
+
+/**
+ * Read the most recent audit entries, newest first.
+ * @param {Object} [filter] - limit (default 20) plus optional tool, table, sys_id,
+ *   outcome, instance and since (ISO timestamp) to match
+ * @param {Object} env - Settings of the connection profile, for SERVICENOW_AUDIT_LOG
+ * @returns {Promise<Object[]>}
+ */
+export async function readAuditEntries(filter, env) {
+  const { limit = 20, since, ...match } = filter;
+  let text;
+  try {
+    text = await readFile(getAuditLogPath(env), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const entries = [];
+  const lines = text.split('\n');
+  for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch {
+      // Blank or truncated line
+      continue;
+    }
+    if (since && entry.timestamp < since) {
+      break;
+    }
+    if (Object.entries(match).every(([key, value]) => value === undefined || entry[key] === value)) {
+      entries.push(entry);
+    }
+  }
+  return entries;
+}
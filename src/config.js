@@ -0,0 +1,184 @@
+// Builds ServiceNowClient configurations from SERVICENOW_* environment variables and connection profiles
+
+import { readFileSync } from 'fs';
+import { join, parse } from 'path';
+import { AUTH_TYPES } from './servicenow-client.js';
+
+export const DEFAULT_PROFILE = 'default';
+
+// Connection settings a profile must define itself rather than inherit from the environment
+const CONNECTION_ENV = [
+  'SERVICENOW_INSTANCE_URL',
+  'SERVICENOW_AUTH_TYPE',
+  'SERVICENOW_CLIENT_ID',
+  'SERVICENOW_CLIENT_SECRET',
+  'SERVICENOW_USERNAME',
+  'SERVICENOW_PASSWORD',
+  'SERVICENOW_OAUTH_SCOPE',
+  'SERVICENOW_ACCESS_TOKEN',
+  'SERVICENOW_JWT_PRIVATE_KEY_PATH',
+  'SERVICENOW_JWT_KEY_ID',
+  'SERVICENOW_JWT_ISSUER',
+  'SERVICENOW_JWT_SUBJECT',
+  'SERVICENOW_JWT_AUDIENCE',
+];
+
+// Env vars each SERVICENOW_AUTH_TYPE needs on top of SERVICENOW_INSTANCE_URL
+export const REQUIRED_AUTH_ENV = {
+  oauth_password: ['SERVICENOW_CLIENT_ID', 'SERVICENOW_CLIENT_SECRET', 'SERVICENOW_USERNAME', 'SERVICENOW_PASSWORD'],
+  oauth_client_credentials: ['SERVICENOW_CLIENT_ID', 'SERVICENOW_CLIENT_SECRET'],
+  oauth_jwt: ['SERVICENOW_CLIENT_ID', 'SERVICENOW_CLIENT_SECRET', 'SERVICENOW_JWT_PRIVATE_KEY_PATH'],
+  basic: ['SERVICENOW_USERNAME', 'SERVICENOW_PASSWORD'],
+  token: ['SERVICENOW_ACCESS_TOKEN'],
+};
+
+// Unset or non-numeric values fall back to the client defaults
+function parseIntEnv(env, name) {
+  const value = parseInt(env[name], 10);
+  return Number.isNaN(value) ? undefined : value;
+}
+
+export function getAuthType(env = process.env) {
+  return (env.SERVICENOW_AUTH_TYPE || 'oauth_password').toLowerCase();
+}
+
+/**
+ * List everything that keeps the environment from producing a working client.
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {string[]} Problem descriptions, empty when the configuration is complete
+ */
+export function findConfigProblems(env = process.env) {
+  const authType = getAuthType(env);
+  if (!AUTH_TYPES.includes(authType)) {
+    return [`Unsupported SERVICENOW_AUTH_TYPE "${authType}" (expected one of: ${AUTH_TYPES.join(', ')})`];
+  }
+
+  const problems = [];
+  const required = ['SERVICENOW_INSTANCE_URL', ...REQUIRED_AUTH_ENV[authType]];
+  const missing = required.filter((k) => !env[k]);
+  if (missing.length) {
+    problems.push(`Missing required env vars for ${authType} authentication: ${missing.join(', ')}`);
+  }
+  if (authType === 'oauth_jwt' && !env.SERVICENOW_JWT_SUBJECT && !env.SERVICENOW_USERNAME) {
+    problems.push('oauth_jwt authentication needs SERVICENOW_JWT_SUBJECT or SERVICENOW_USERNAME for the token subject');
+  }
+  return problems;
+}
+
+export function validateEnv(env = process.env) {
+  const problems = findConfigProblems(env);
+  if (problems.length) {
+    throw new Error(problems.join('; '));
+  }
+}
+
+export function normalizeInstanceUrl(url) {
+  return url.replace(/\/+$/, '');
+}
+
+/**
+ * Validate the environment and map it to ServiceNowClient options.
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {Object} Config for `new ServiceNowClient(config)`
+ */
+export function buildClientConfig(env = process.env) {
+  validateEnv(env);
+  const cacheTtlSeconds = parseIntEnv(env, 'SERVICENOW_CACHE_TTL');
+
+  return {
+    instanceUrl: normalizeInstanceUrl(env.SERVICENOW_INSTANCE_URL),
+    authType: getAuthType(env),
+    clientId: env.SERVICENOW_CLIENT_ID,
+    clientSecret: env.SERVICENOW_CLIENT_SECRET,
+    username: env.SERVICENOW_USERNAME,
+    password: env.SERVICENOW_PASSWORD,
+    scope: env.SERVICENOW_OAUTH_SCOPE || 'useraccount',
+    accessToken: env.SERVICENOW_ACCESS_TOKEN,
+    jwtPrivateKey: env.SERVICENOW_JWT_PRIVATE_KEY_PATH
+      ? readFileSync(env.SERVICENOW_JWT_PRIVATE_KEY_PATH, 'utf8')
+      : undefined,
+    jwtKeyId: env.SERVICENOW_JWT_KEY_ID,
+    jwtIssuer: env.SERVICENOW_JWT_ISSUER,
+    jwtSubject: env.SERVICENOW_JWT_SUBJECT,
+    jwtAudience: env.SERVICENOW_JWT_AUDIENCE,
+    timeout: parseInt(env.SERVICENOW_TIMEOUT, 10) || 30000,
+    maxRetries: parseIntEnv(env, 'SERVICENOW_MAX_RETRIES'),
+    retryBaseDelay: parseIntEnv(env, 'SERVICENOW_RETRY_BASE_DELAY'),
+    retryMaxDelay: parseIntEnv(env, 'SERVICENOW_RETRY_MAX_DELAY'),
+    retryNonIdempotent: /^true$/i.test(env.SERVICENOW_RETRY_NON_IDEMPOTENT || ''),
+    requestsPerSecond: parseIntEnv(env, 'SERVICENOW_RATE_LIMIT_PER_SECOND'),
+    burst: parseIntEnv(env, 'SERVICENOW_RATE_LIMIT_BURST'),
+    maxConcurrent: parseIntEnv(env, 'SERVICENOW_MAX_CONCURRENT_REQUESTS'),
+    cacheTables: env.SERVICENOW_CACHE_TABLES !== undefined
+      ? env.SERVICENOW_CACHE_TABLES.split(',').map((t) => t.trim()).filter(Boolean)
+      : undefined,
+    cacheTtl: cacheTtlSeconds !== undefined ? cacheTtlSeconds * 1000 : undefined,
+    cachePersistPath: env.SERVICENOW_CACHE_FILE,
+    debug: /^true$/i.test(env.DEBUG || ''),
+    logLevel: env.SERVICENOW_LOG_LEVEL,
+    // The profile's own settings, for the tools, e.g. SERVICENOW_PROTECTED_TABLES
+    env,
+  };
+}
+
+// "${VAR}" in a profile value is replaced with the environment variable VAR
+function expandProfileValue(profile, key, value, env) {
+  return String(value).replace(/\$\{([A-Za-z0-9_]+)\}/g, (_match, name) => {
+    if (env[name] === undefined) {
+      throw new Error(`Profile "${profile}": ${key} references unset environment variable ${name}`);
+    }
+    return env[name];
+  });
+}
+
+/**
+ * Resolve the connection profiles. With SERVICENOW_PROFILES_FILE each profile
+ * in the file is a set of SERVICENOW_* variables; settings it does not define,
+ * such as retries or rate limits, come from the environment, but connection
+ * settings and credentials never do. Without a profiles file the environment
+ * is the single "default" profile.
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {{defaultProfile: string, profiles: Map<string, Object>}} Environment per profile,
+ *   ready for buildClientConfig()
+ */
+export function loadProfiles(env = process.env) {
+  const path = env.SERVICENOW_PROFILES_FILE;
+  if (!path) {
+    return { defaultProfile: DEFAULT_PROFILE, profiles: new Map([[DEFAULT_PROFILE, env]]) };
+  }
+
+  let file;
+  try {
+    file = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read profiles file ${path}: ${error.message}`);
+  }
+  const entries = Object.entries(file.profiles || {});
+  if (!entries.length) {
+    throw new Error(`Profiles file ${path} defines no profiles`);
+  }
+
+  const shared = Object.fromEntries(Object.entries(env).filter(([key]) => !CONNECTION_ENV.includes(key)));
+  const profiles = new Map();
+  for (const [name, settings] of entries) {
+    if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+      throw new Error(`Invalid profile name "${name}" in ${path} (use letters, digits, "-" and "_")`);
+    }
+    const profileEnv = { ...shared };
+    for (const [key, value] of Object.entries(settings)) {
+      profileEnv[key] = expandProfileValue(name, key, value, env);
+    }
+    // Instances must not share a persisted cache file
+    if (profileEnv.SERVICENOW_CACHE_FILE && !settings.SERVICENOW_CACHE_FILE) {
+      const { dir, name: base, ext } = parse(profileEnv.SERVICENOW_CACHE_FILE);
+      profileEnv.SERVICENOW_CACHE_FILE = join(dir, `${base}.${name}${ext}`);
+    }
+    profiles.set(name, profileEnv);
+  }
+
+  const defaultProfile = env.SERVICENOW_DEFAULT_PROFILE || file.default || entries[0][0];
+  if (!profiles.has(defaultProfile)) {
+    throw new Error(`Default profile "${defaultProfile}" is not defined in ${path}`);
+  }
+  return { defaultProfile, profiles };
+}
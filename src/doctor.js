@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+
+// Connection diagnostics: `npm run doctor [-- --profile <name>]`. Checks
+// configuration, network, authentication and table access and prints a
+// pass/fail report. Secret values are never printed.
+
+import dotenv from 'dotenv';
+import { lookup } from 'dns/promises';
+import { connect } from 'tls';
+import { OAuthAuthProvider, ServiceNowClient } from './servicenow-client.js';
+import { Logger } from './logger.js';
+import { REQUIRED_AUTH_ENV, buildClientConfig, findConfigProblems, getAuthType, loadProfiles } from './config.js';
+
+dotenv.config();
+
+const SECRET_ENV = ['SERVICENOW_CLIENT_SECRET', 'SERVICENOW_PASSWORD', 'SERVICENOW_ACCESS_TOKEN'];
+// Tables the tools read from
+const TOOL_TABLES = [
+  'incident',
+  'sys_script_include',
+  'sys_pd_process_definition',
+  'sys_pd_lane',
+  'sys_pd_lane_definition',
+  'sys_pd_activity',
+  'sys_pd_activity_definition',
+  'sys_dictionary',
+  'sys_user'
+];
+const ICONS = { pass: '✅', warn: '⚠️ ', fail: '❌', skip: '⏭️ ' };
+const CERT_EXPIRY_WARNING_DAYS = 14;
+
+const counts = { pass: 0, warn: 0, fail: 0, skip: 0 };
+
+function report(status, check, detail = '') {
+  counts[status]++;
+  console.log(`  ${ICONS[status]} ${check}${detail ? ` - ${detail}` : ''}`);
+}
+
+function section(title) {
+  console.log(`\n${title}`);
+}
+
+function maskEnv(name, value) {
+  if (SECRET_ENV.includes(name)) {
+    return `set (${value.length} characters, masked)`;
+  }
+  if (name === 'SERVICENOW_CLIENT_ID') {
+    return `${value.slice(0, 4)}… (masked)`;
+  }
+  return value;
+}
+
+function checkEnvironment(env) {
+  section('Environment');
+  const authType = getAuthType(env);
+  const problems = findConfigProblems(env);
+
+  if (!REQUIRED_AUTH_ENV[authType]) {
+    problems.forEach((problem) => report('fail', 'SERVICENOW_AUTH_TYPE', problem));
+    return false;
+  }
+  report('pass', 'SERVICENOW_AUTH_TYPE', authType);
+
+  for (const name of ['SERVICENOW_INSTANCE_URL', ...REQUIRED_AUTH_ENV[authType]]) {
+    if (env[name]) {
+      report('pass', name, maskEnv(name, env[name]));
+    } else {
+      report('fail', name, 'not set');
+    }
+  }
+  problems
+    .filter((problem) => !problem.startsWith('Missing required env vars'))
+    .forEach((problem) => report('fail', 'Configuration', problem));
+
+  return problems.length === 0;
+}
+
+function parseInstanceUrl(env) {
+  try {
+    const url = new URL(env.SERVICENOW_INSTANCE_URL);
+    if (url.protocol !== 'https:') {
+      report('warn', 'Instance URL', `${url.protocol} is not encrypted; ServiceNow instances expect https`);
+    }
+    return url;
+  } catch {
+    report('fail', 'Instance URL', `"${env.SERVICENOW_INSTANCE_URL}" is not a valid URL`);
+    return null;
+  }
+}
+
+async function checkNetwork(url) {
+  section('Network');
+
+  try {
+    const { address } = await lookup(url.hostname);
+    report('pass', 'DNS', `${url.hostname} resolves to ${address}`);
+  } catch (error) {
+    report('fail', 'DNS', `${url.hostname} does not resolve (${error.code || error.message})`);
+    return false;
+  }
+
+  if (url.protocol !== 'https:') {
+    report('skip', 'TLS', 'instance URL is not https');
+    return true;
+  }
+
+  try {
+    const { protocol, validTo } = await checkTls(url);
+    const daysLeft = Math.floor((validTo - Date.now()) / 86400000);
+    if (daysLeft < CERT_EXPIRY_WARNING_DAYS) {
+      report('warn', 'TLS', `${protocol}, certificate expires in ${daysLeft} day(s)`);
+    } else {
+      report('pass', 'TLS', `${protocol}, certificate valid until ${validTo.toISOString().slice(0, 10)}`);
+    }
+    return true;
+  } catch (error) {
+    report('fail', 'TLS', error.message);
+    return false;
+  }
+}
+
+function checkTls(url) {
+  return new Promise((resolve, reject) => {
+    const socket = connect({
+      host: url.hostname,
+      port: Number(url.port) || 443,
+      servername: url.hostname,
+      timeout: 10000
+    });
+    socket.once('secureConnect', () => {
+      const certificate = socket.getPeerCertificate();
+      const result = { protocol: socket.getProtocol(), validTo: new Date(certificate.valid_to) };
+      socket.end();
+      resolve(result);
+    });
+    socket.once('timeout', () => {
+      socket.destroy();
+      reject(new Error('TLS handshake timed out after 10s'));
+    });
+    socket.once('error', (error) => reject(new Error(`TLS handshake failed: ${error.message}`)));
+  });
+}
+
+async function checkAuthentication(client, config) {
+  section('Authentication');
+  const provider = client.authProvider;
+
+  if (!(provider instanceof OAuthAuthProvider)) {
+    report('skip', 'Token exchange', `not used by ${config.authType}; credentials are verified by the API checks below`);
+    return true;
+  }
+
+  try {
+    await client.authenticate();
+    const expiresIn = Math.round((provider.tokenExpiry - Date.now()) / 1000);
+    report('pass', 'Token exchange', `access token issued, expires in ${expiresIn}s${provider.refreshToken ? ', refresh token received' : ''}`);
+  } catch (error) {
+    report('fail', 'Token exchange', error.message);
+    return false;
+  }
+
+  if (provider.grantedScope === null) {
+    report('warn', 'Scope', `instance did not report the granted scope (requested "${provider.scope}")`);
+  } else if (provider.grantedScope.split(/\s+/).includes(provider.scope)) {
+    report('pass', 'Scope', `granted "${provider.grantedScope}"`);
+  } else {
+    report('warn', 'Scope', `requested "${provider.scope}" but was granted "${provider.grantedScope}"`);
+  }
+  return true;
+}
+
+async function checkUser(client, config) {
+  section('User');
+  const username = config.authType === 'oauth_jwt' ? config.jwtSubject || config.username : config.username;
+
+  if (!username) {
+    report('skip', 'User and roles', `no username configured for ${config.authType}`);
+    return;
+  }
+
+  let user;
+  try {
+    const result = await client.queryTable('sys_user', `user_name=${username}`, 'sys_id,user_name,active,locked_out', 1, 0, null, { cache: false });
+    user = result.result[0];
+  } catch (error) {
+    report('fail', 'User', error.message);
+    return;
+  }
+
+  if (!user) {
+    report('warn', 'User', `"${username}" is not visible in sys_user`);
+    return;
+  }
+  if (String(user.active) !== 'true') {
+    report('fail', 'User', `"${username}" is inactive`);
+  } else if (String(user.locked_out) === 'true') {
+    report('fail', 'User', `"${username}" is locked out`);
+  } else {
+    report('pass', 'User', `"${username}" is active`);
+  }
+
+  try {
+    const result = await client.queryTable('sys_user_has_role', `user=${user.sys_id}^state=active`, 'role.name', 500, 0, null, { cache: false });
+    const roles = [...new Set(result.result.map((row) => row['role.name']).filter(Boolean))].sort();
+    if (roles.length) {
+      report('pass', 'Roles', roles.join(', '));
+    } else {
+      report('warn', 'Roles', 'no active roles found; most tables will be unreadable');
+    }
+  } catch (error) {
+    report('warn', 'Roles', `cannot read sys_user_has_role (${error.message})`);
+  }
+}
+
+async function checkTables(client) {
+  section('Table access');
+
+  for (const table of TOOL_TABLES) {
+    try {
+      const result = await client.queryTable(table, null, 'sys_id', 1, 0, null, { cache: false });
+      const visible = result.totalCount ?? result.result.length;
+      report('pass', table, `readable (${visible} record(s) visible)`);
+    } catch (error) {
+      if (error.status === 403) {
+        report('fail', table, 'access denied (403); the user needs a role with read access');
+      } else if (error.status === 400 || error.status === 404) {
+        report(table.startsWith('sys_pd_') ? 'warn' : 'fail', table, `not available on this instance (${error.message})`);
+      } else {
+        report('fail', table, error.message);
+      }
+    }
+  }
+}
+
+function resolveProfile() {
+  const index = process.argv.indexOf('--profile');
+  const requested = index !== -1 ? process.argv[index + 1] : undefined;
+  const { defaultProfile, profiles } = loadProfiles();
+  const name = requested || defaultProfile;
+  if (!profiles.has(name)) {
+    throw new Error(`Unknown profile "${name}" (configured: ${[...profiles.keys()].join(', ')})`);
+  }
+  return { name, env: profiles.get(name), count: profiles.size };
+}
+
+async function main() {
+  const profile = resolveProfile();
+  console.log(`ServiceNow MCP doctor${profile.count > 1 ? ` - profile "${profile.name}"` : ''}`);
+  const { env } = profile;
+
+  const configComplete = checkEnvironment(env);
+  const url = env.SERVICENOW_INSTANCE_URL ? parseInstanceUrl(env) : null;
+  const reachable = url ? await checkNetwork(url) : false;
+
+  if (configComplete && reachable) {
+    const config = buildClientConfig(env);
+    // Fail fast and keep the request log out of the report
+    const client = new ServiceNowClient({
+      ...config,
+      maxRetries: 0,
+      cacheTables: [],
+      logger: new Logger({ level: 'error' })
+    });
+
+    if (await checkAuthentication(client, config)) {
+      await checkUser(client, config);
+      await checkTables(client);
+    }
+  } else {
+    section('Authentication');
+    report('skip', 'Token exchange, user and table checks', configComplete ? 'instance is not reachable' : 'fix the environment first');
+  }
+
+  console.log(`\n${counts.pass} passed, ${counts.warn} warning(s), ${counts.fail} failed, ${counts.skip} skipped`);
+  process.exitCode = counts.fail > 0 ? 1 : 0;
+}
+
+main().catch((error) => {
+  console.error(`Doctor failed unexpectedly: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -15,13 +15,13 @@ import {
 } from '@modelcontextprotocol/sdk/types.js';
 import dotenv from 'dotenv';
 import { ServiceNowClient } from './servicenow-client.js';
-
-import { handleIncidentTools, registerIncidentTools } from './tools/incidents.js';
-import { handleScriptIncludeTools, registerScriptIncludeTools } from './tools/script-includes.js';
-import { handleTableTools, registerTableTools } from './tools/table-api.js';
-import { handleProcessDefinitionTools, registerProcessDefinitionTools } from './tools/process-definitions.js';
-import { handleProcessLaneTools, registerProcessLaneTools } from './tools/process-lanes.js';
-import { handleProcessActivityTools, registerProcessActivityTools } from './tools/process-activities.js';
+import { buildClientConfig, loadProfiles } from './config.js';
+import { ToolPolicy } from './tool-policy.js';
+import { auditToolCall, isAuditedTool } from './audit-log.js';
+import { createToolRegistry } from './tool-registry.js';
+import { validateSchema } from './schema-validation.js';
+import { toCallToolResult, toolError } from './tools/results.js';
+import { clipResult, getResponseBudget } from './tools/budget.js';
 
 dotenv.config();
 
@@ -32,8 +32,11 @@ class ServiceNowMCPServer {
       { capabilities: { tools: {}, resources: {}, prompts: {}, resourceTemplates: {} } }
     );
     this.serviceNowClient = null;
+    this.clients = new Map();
+    this.policies = new Map();
+    this.defaultProfile = null;
     this.toolDefinitions = [];
-    this.toolRouter = [];
+    this.toolRegistry = createToolRegistry();
     this.setupTools();
     this.setupResources();
     this.setupResourceTemplates();
@@ -41,38 +44,21 @@ class ServiceNowMCPServer {
     this.setupErrorHandling();
   }
 
-  validateEnv() {
-    const required = [
-      'SERVICENOW_INSTANCE_URL',
-      'SERVICENOW_CLIENT_ID',
-      'SERVICENOW_CLIENT_SECRET',
-      'SERVICENOW_USERNAME',
-      'SERVICENOW_PASSWORD',
-    ];
-    const missing = required.filter((k) => !process.env[k]);
-    if (missing.length) {
-      throw new Error(`Missing required env vars: ${missing.join(', ')}`);
-    }
-  }
-
-  normalizeInstanceUrl(url) {
-    return url.replace(/\/+$/, '');
-  }
-
   async initialize() {
     try {
-      this.validateEnv();
-      const instanceUrl = this.normalizeInstanceUrl(process.env.SERVICENOW_INSTANCE_URL);
-      this.serviceNowClient = new ServiceNowClient({
-        instanceUrl,
-        clientId: process.env.SERVICENOW_CLIENT_ID,
-        clientSecret: process.env.SERVICENOW_CLIENT_SECRET,
-        username: process.env.SERVICENOW_USERNAME,
-        password: process.env.SERVICENOW_PASSWORD,
-        scope: process.env.SERVICENOW_OAUTH_SCOPE || 'useraccount',
-        timeout: parseInt(process.env.SERVICENOW_TIMEOUT, 10) || 30000,
-        debug: /^true$/i.test(process.env.DEBUG || ''),
-      });
+      const { defaultProfile, profiles } = loadProfiles();
+      // Build every client up front so a broken profile fails at startup, not mid-session
+      for (const [name, env] of profiles) {
+        try {
+          this.clients.set(name, new ServiceNowClient({ ...buildClientConfig(env), profile: name }));
+          this.policies.set(name, ToolPolicy.fromEnv(env));
+        } catch (error) {
+          throw new Error(profiles.size > 1 ? `Profile "${name}": ${error.message}` : error.message);
+        }
+      }
+      this.defaultProfile = defaultProfile;
+      this.serviceNowClient = this.clients.get(defaultProfile);
+      // Other profiles authenticate on their first request
       await this.serviceNowClient.authenticate();
       console.error('[Init] ServiceNow MCP Server initialized');
     } catch (error) {
@@ -81,116 +67,93 @@ class ServiceNowMCPServer {
     }
   }
 
-  // -------- Tool Definition Builders (use imported tool registrations) --------
-  async getIncidentTools() {
-    return registerIncidentTools();
-  }
-
-  async getScriptIncludeTools() {
-    return registerScriptIncludeTools();
-  }
-
-  async getTableApiTools() {
-    return registerTableTools();
+  /**
+   * Profile name for the `instance` tool argument.
+   * @param {string} [instance] - Profile name; defaults to the default profile
+   */
+  resolveProfile(instance) {
+    const profile = instance || this.defaultProfile;
+    if (!this.clients.has(profile)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Unknown instance "${instance}" (configured: ${[...this.clients.keys()].join(', ')})`
+      );
+    }
+    return profile;
   }
 
-  async getProcessDefinitionTools() {
-    return registerProcessDefinitionTools();
+  // Resources read through the default profile, so its policy decides
+  checkResourceTables(uri, tables) {
+    const refusal = this.policies.get(this.defaultProfile).checkTables(tables);
+    if (refusal) {
+      throw new McpError(ErrorCode.InvalidRequest, `Resource ${uri} refused: ${refusal}`);
+    }
   }
 
-  async getProcessLaneTools() {
-    return registerProcessLaneTools();
+  // A tool is listed when at least one profile's policy permits it
+  isToolAvailable(name) {
+    return [...this.policies.values()].some((policy) => policy.checkTool(name) === null);
   }
 
-  async getProcessActivityTools() {
-    return registerProcessActivityTools();
+  // Added to every tool's input schema when more than one profile is configured
+  getInstanceProperty() {
+    return {
+      type: 'string',
+      description: `Connection profile of the ServiceNow instance to use (default: ${this.defaultProfile})`,
+      enum: [...this.clients.keys()],
+    };
   }
 
   // -------- Setup Tools & Routing --------
   setupTools() {
-    this.toolRouter = [
-      {
-        match: (n) =>
-          n.includes('_incident'),
-        handler: handleIncidentTools,
-      },
-      {
-        match: (n) => n.includes('script_include'),
-        handler: handleScriptIncludeTools,
-      },
-      {
-        // Accept names containing 'table' rather than 'table_api'
-        match: (n) => n.includes('query_table') || n.includes('_record'),
-        handler: handleTableTools,
-      },
-      {
-        match: (n) => n.includes('process_definition'),
-        handler: handleProcessDefinitionTools,
-      },
-      {
-        match: (n) => n.includes('process_lane'),
-        handler: handleProcessLaneTools,
-      },
-      {
-        match: (n) => n.includes('process_activity') || n.includes('activity_definition'),
-        handler: handleProcessActivityTools,
-      },
-    ];
-
     this.server.setRequestHandler(ListToolsRequestSchema, async () => {
       if (!this.toolDefinitions.length) {
-        const groups = await Promise.allSettled([
-          this.getIncidentTools(),
-          this.getScriptIncludeTools(),
-          this.getTableApiTools(),
-          this.getProcessDefinitionTools(),
-          this.getProcessLaneTools(),
-          this.getProcessActivityTools(),
-        ]);
-
-        const collected = [];
-        groups.forEach((g, idx) => {
-          if (g.status === 'fulfilled' && Array.isArray(g.value)) {
-            collected.push(...g.value);
-          } else {
-            console.error(
-              '[Tools] Skipping group index %d (%s)',
-              idx,
-              g.status === 'rejected' ? g.reason : 'non-array'
-            );
-          }
-        });
-
-        this.toolDefinitions = collected;
+        const available = this.toolRegistry.definitions().filter((tool) => this.isToolAvailable(tool.name));
+        this.toolDefinitions = this.clients.size > 1
+          ? available.map((tool) => ({
+            ...tool,
+            inputSchema: {
+              ...tool.inputSchema,
+              properties: { ...tool.inputSchema.properties, instance: this.getInstanceProperty() },
+            },
+          }))
+          : available;
       }
       return { tools: this.toolDefinitions };
     });
 
     this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
       const { name, arguments: args = {} } = request.params;
-      const route = this.toolRouter.find((r) => r.match(name));
-      if (!route) {
+      const tool = this.toolRegistry.get(name);
+      if (!tool) {
         throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
       }
+      // Strip `instance` so update tools don't send it as a field value
+      const { instance, ...toolArgs } = args;
+      const profile = this.resolveProfile(instance);
+      const violations = validateSchema(tool.definition.inputSchema, toolArgs);
+      if (violations.length) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Invalid arguments for ${name}:\n${violations.map((v) => `- ${v}`).join('\n')}`
+        );
+      }
+      // Enforced here as well: clients may call tools that ListTools did not offer
+      const refusal = this.policies.get(profile).checkCall(name, toolArgs);
+      if (refusal) {
+        throw new McpError(ErrorCode.InvalidRequest, `Tool call refused: ${refusal}`);
+      }
+      const client = this.clients.get(profile);
       try {
-        const result = await route.handler(this.serviceNowClient, name, args);
-        return {
-          content: [
-            {
-              type: 'text',
-              text:
-                typeof result === 'string'
-                  ? result
-                  : JSON.stringify(result, null, 2),
-            },
-          ],
-        };
+        const run = () => tool.handler(client, toolArgs);
+        const result = isAuditedTool(name, toolArgs, client.env)
+          ? await auditToolCall({ tool: name, profile, client, args: toolArgs }, run)
+          : await run();
+        return toCallToolResult(clipResult(result, getResponseBudget(toolArgs, client.env).maxChars));
       } catch (err) {
         console.error('[Tool Error]', name, err);
-        throw new McpError(
-          ErrorCode.InternalError,
-          `Tool execution failed: ${name}: ${(err && err.message) || err}`
-        );
+        // Failures inside the tool are tool results, not protocol errors
+        return toCallToolResult(toolError(`Tool execution failed: ${name}: ${(err && err.message) || err}`));
       }
     });
   }
@@ -234,6 +197,7 @@ class ServiceNowMCPServer {
         if (!tableName) {
           throw new McpError(ErrorCode.InvalidRequest, 'Table name is required in URI. Use format: servicenow://table-schema/{table_name}');
         }
+        this.checkResourceTables(uri, [tableName]);
 
         try {
           const tableSchema = await this.getTableSchema(tableName);
@@ -260,6 +224,7 @@ class ServiceNowMCPServer {
         if (!tableName) {
           throw new McpError(ErrorCode.InvalidRequest, 'Table name is required in URI. Use format: servicenow://table-data/{table_name}');
         }
+        this.checkResourceTables(uri, [tableName]);
 
         try {
           const tableData = await this.getTableDataSample(tableName);
@@ -287,6 +252,7 @@ class ServiceNowMCPServer {
           throw new McpError(ErrorCode.InvalidRequest, 'URI format should be servicenow://record/{table_name}/{sys_id}');
         }
         const [tableName, sysId] = pathParts;
+        this.checkResourceTables(uri, [tableName]);
 
         try {
           const record = await this.getRecord(tableName, sysId);
@@ -313,6 +279,7 @@ class ServiceNowMCPServer {
         if (!identifier) {
           throw new McpError(ErrorCode.InvalidRequest, 'Incident number or sys_id is required in URI. Use format: servicenow://incident/{number_or_sys_id}');
         }
+        this.checkResourceTables(uri, ['incident']);
 
         try {
           const incident = await this.getIncidentByIdentifier(identifier);
@@ -339,6 +306,7 @@ class ServiceNowMCPServer {
         if (!identifier) {
           throw new McpError(ErrorCode.InvalidRequest, 'Username or sys_id is required in URI. Use format: servicenow://user/{username_or_sys_id}');
         }
+        this.checkResourceTables(uri, ['sys_user']);
 
         try {
           const user = await this.getUserByIdentifier(identifier);
@@ -365,6 +333,7 @@ class ServiceNowMCPServer {
         if (!sysId) {
           throw new McpError(ErrorCode.InvalidRequest, 'Process definition sys_id is required in URI. Use format: servicenow://process-definition/{sys_id}');
         }
+        this.checkResourceTables(uri, ['sys_pd_process_definition', 'sys_pd_lane', 'sys_pd_activity']);
 
         try {
           const processDefinition = await this.getProcessDefinitionWithDetails(sysId);
@@ -1206,17 +1175,17 @@ Limit the results to 50 users and sort by name.`
             type: 'text',
             text: `Analyze incident trends in ServiceNow for ${time_period || '[time period]'}:
 
-1. First, query incidents created in ${time_period || 'the specified time period'} using servicenow_incident_list:
+1. Use servicenow_aggregate on the incident table to compute the numbers server-side instead of listing raw incidents:
    - Query: sys_created_on>javascript:gs.daysAgo(30) (adjust timeframe as needed)
-   - Fields: number,priority,category,state,assignment_group,sys_created_on,sys_resolved_on
+   - Total number of incidents: count only
+   - Distribution by priority level: group_by "priority"
+   - Distribution by category: group_by "category"
+   ${group_by ? `- Grouping by ${group_by}: group_by "${group_by}"` : '- Top assignment groups by incident count: group_by "assignment_group"'}
+   - Incidents still open vs resolved: group_by "state"
+   - Set display_value to "true" so groups show labels instead of raw values
 
-2. Analyze the data and provide insights on:
-   - Total number of incidents
-   - Distribution by priority level
-   - Distribution by category
-   ${group_by ? `- Grouping by ${group_by}` : '- Top assignment groups by incident count'}
-   - Average resolution time
-   - Incidents still open vs resolved
+2. For average resolution time, run servicenow_aggregate with avg_fields "calendar_stc" (resolution time in seconds)
+   on resolved incidents (add ^resolved_atISNOTEMPTY to the query), grouped by "priority".
 
 3. Create a summary report with trends and recommendations for improvement.`
           }
@@ -1284,28 +1253,29 @@ Provide detailed results and next steps for working with this workflow.`
             type: 'text',
             text: `Perform bulk updates on ${table_name || '[table_name]'} records in ServiceNow:
 
-**Step 1: Query Records to Update**
+**Step 1: Preview the Update**
 - Table: ${table_name || '[table_name]'}
-- Filter: ${filter_criteria || '[specify filter criteria]'}
-- Use servicenow_query_table to first identify all records that match the criteria
-- Limit to 100 records for safety
+- Filter: ${filter_criteria || '[specify filter criteria as an encoded query]'}
+- Call servicenow_bulk_update with the table, encoded query and data:
+  ${update_fields || '[specify which fields to update and their new values]'}
+- This is a dry run: nothing is written yet
 
 **Step 2: Review Records**
-- Display the records that will be updated
+- Display the records that will be updated with their before/after values
 - Confirm the count and show key identifying fields
 
-**Step 3: Bulk Update**
-- For each record found, use servicenow_update_record to apply:
-  ${update_fields || '[specify which fields to update and their new values]'}
+**Step 3: Apply**
+- Call servicenow_bulk_update again with the returned operation_id and confirm: true
+- The update is applied in chunks; report any records that failed
 
 **Step 4: Verification**
 - After updates, query the records again to verify changes were applied
 - Provide a summary of successful updates and any errors
 
 **Safety Notes:**
-- Always query first to verify the correct records will be updated
-- Consider testing on a small subset first
-- Backup or document the previous values before updating`
+- Always review the dry run before confirming
+- Consider testing on a small subset first (narrow the query or lower max_records)
+- Use servicenow_bulk_update_rollback with the operation_id to restore the previous values if needed`
           }
         }
       ]
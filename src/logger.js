@@ -0,0 +1,81 @@
+// Structured JSON logging to stderr (stdout carries the MCP protocol) with
+// redaction of credentials.
+
+export const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE_KEY = /authorization|password|passwd|secret|token|assertion|api[_-]?key|cookie/i;
+const SENSITIVE_VALUE = /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/g;
+
+/**
+ * Copy a value with every credential-looking field masked: keys such as
+ * Authorization, password or refresh_token, and Bearer/Basic credentials
+ * embedded in strings.
+ * @param {*} value
+ * @returns {*}
+ */
+export function redact(value) {
+  if (typeof value === 'string') {
+    return value.replace(SENSITIVE_VALUE, `$1 ${REDACTED}`);
+  }
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      SENSITIVE_KEY.test(key) && item !== null && item !== undefined && item !== '' ? REDACTED : redact(item)
+    ]));
+  }
+  return value;
+}
+
+export class Logger {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.level] - error, warn (default), info or debug
+   * @param {Object} [options.stream] - Writable stream (default: process.stderr)
+   */
+  constructor(options = {}) {
+    const level = (options.level || 'warn').toLowerCase();
+    if (!LOG_LEVELS.includes(level)) {
+      throw new Error(`Unknown log level "${options.level}" (expected ${LOG_LEVELS.join(', ')})`);
+    }
+    this.level = level;
+    this.stream = options.stream || process.stderr;
+  }
+
+  isEnabled(level) {
+    return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(this.level);
+  }
+
+  /**
+   * Write one JSON line if `level` is enabled.
+   * @param {string} level
+   * @param {string} event - Short machine-readable event name, e.g. "request"
+   * @param {Object} [fields] - Extra fields; credentials are redacted
+   */
+  log(level, event, fields = {}) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+    const entry = { time: new Date().toISOString(), level, event, ...redact(fields) };
+    this.stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  error(event, fields) {
+    this.log('error', event, fields);
+  }
+
+  warn(event, fields) {
+    this.log('warn', event, fields);
+  }
+
+  info(event, fields) {
+    this.log('info', event, fields);
+  }
+
+  debug(event, fields) {
+    this.log('debug', event, fields);
+  }
+}
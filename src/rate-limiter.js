@@ -0,0 +1,89 @@
+// Client-side throttling for ServiceNow REST calls: a token bucket bounds the
+// request rate and a counter bounds how many requests are in flight at once.
+
+export class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {number} [options.requestsPerSecond] - Sustained request rate (0 or unset disables rate limiting)
+   * @param {number} [options.burst] - Bucket size, i.e. how many requests may start back to back (default: requestsPerSecond)
+   * @param {number} [options.maxConcurrent] - Maximum requests in flight (0 or unset disables the cap)
+   * @param {Function} [options.onQueued] - Called with (label, queueLength) when a request has to wait
+   */
+  constructor(options = {}) {
+    this.requestsPerSecond = options.requestsPerSecond || 0;
+    this.burst = options.burst || Math.max(1, Math.ceil(this.requestsPerSecond));
+    this.maxConcurrent = options.maxConcurrent || 0;
+    this.onQueued = options.onQueued || null;
+
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.inFlight = 0;
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /**
+   * Wait for a free slot. Resolves with a release function that must be
+   * called once the request has finished.
+   * @param {string} label - Shown in the queue notification
+   * @returns {Promise<Function>}
+   */
+  acquire(label = 'request') {
+    return new Promise((resolve) => {
+      this.queue.push(resolve);
+      this.drain();
+      if (this.queue.includes(resolve) && this.onQueued) {
+        this.onQueued(label, this.queue.length);
+      }
+    });
+  }
+
+  refill() {
+    if (!this.requestsPerSecond) {
+      return;
+    }
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefill) / 1000) * this.requestsPerSecond);
+    this.lastRefill = now;
+  }
+
+  drain() {
+    this.refill();
+
+    while (this.queue.length) {
+      if (this.maxConcurrent && this.inFlight >= this.maxConcurrent) {
+        // release() drains again once a slot frees up
+        return;
+      }
+      if (this.requestsPerSecond && this.tokens < 1) {
+        this.scheduleDrain();
+        return;
+      }
+
+      if (this.requestsPerSecond) {
+        this.tokens -= 1;
+      }
+      this.inFlight++;
+      const resolve = this.queue.shift();
+      let released = false;
+      resolve(() => {
+        if (!released) {
+          released = true;
+          this.inFlight--;
+          this.drain();
+        }
+      });
+    }
+  }
+
+  scheduleDrain() {
+    if (this.timer) {
+      return;
+    }
+    const wait = Math.ceil(((1 - this.tokens) / this.requestsPerSecond) * 1000);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.drain();
+    }, wait);
+  }
+}
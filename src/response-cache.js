@@ -0,0 +1,151 @@
+// TTL cache for read responses of rarely changing tables (dictionary, users),
+// optionally persisted to a JSON file so it survives restarts.
+
+import { readFileSync } from 'fs';
+import { mkdir, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+
+export const DEFAULT_CACHED_TABLES = ['sys_dictionary', 'sys_db_object', 'sys_choice', 'sys_user'];
+
+export class ResponseCache {
+  /**
+   * @param {Object} options
+   * @param {string[]} [options.tables] - Tables whose reads are cached (default: DEFAULT_CACHED_TABLES; empty disables the cache)
+   * @param {number} [options.ttl] - Time to live in milliseconds (default: 5 minutes)
+   * @param {number} [options.maxEntries] - Oldest entries are evicted beyond this (default: 500)
+   * @param {string} [options.persistPath] - JSON file to load from and save to (unset keeps the cache in memory only)
+   */
+  constructor(options = {}) {
+    this.tables = new Set(options.tables ?? DEFAULT_CACHED_TABLES);
+    this.ttl = options.ttl ?? 300000;
+    this.maxEntries = options.maxEntries ?? 500;
+    this.persistPath = options.persistPath || null;
+
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+    this.pendingSave = Promise.resolve();
+
+    if (this.persistPath) {
+      this.load();
+    }
+  }
+
+  isCached(table) {
+    return this.ttl > 0 && this.tables.has(table);
+  }
+
+  /**
+   * Build a cache key from everything that shapes a read response.
+   * @param {string} table
+   * @param {Object} request - e.g. { sysId } or { query, fields, limit, offset }
+   */
+  static key(table, request) {
+    const parts = Object.keys(request).sort().map((name) => [name, request[name] ?? null]);
+    return `${table}|${JSON.stringify(parts)}`;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expires <= Date.now()) {
+      if (entry) {
+        this.entries.delete(key);
+      }
+      this.misses++;
+      return undefined;
+    }
+    this.hits++;
+    // Hand out copies so callers cannot alter the cached response
+    return structuredClone(entry.value);
+  }
+
+  set(key, table, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { table, expires: Date.now() + this.ttl, value: structuredClone(value) });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.save();
+  }
+
+  /**
+   * Drop cached entries.
+   * @param {string} [table] - Only drop entries of this table
+   * @returns {number} Number of entries removed
+   */
+  flush(table) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (!table || entry.table === table) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    if (!table) {
+      this.hits = 0;
+      this.misses = 0;
+    }
+    if (removed) {
+      this.save();
+    }
+    return removed;
+  }
+
+  /**
+   * @returns {{tables: string[], ttl: number, persistPath: string|null, hits: number, misses: number,
+   *   entries: Array<{table: string, count: number, expiresIn: number}>}} Live entries grouped by table
+   */
+  stats() {
+    const now = Date.now();
+    const byTable = new Map();
+    for (const entry of this.entries.values()) {
+      if (entry.expires <= now) {
+        continue;
+      }
+      const current = byTable.get(entry.table) || { table: entry.table, count: 0, expiresIn: Infinity };
+      current.count++;
+      current.expiresIn = Math.min(current.expiresIn, entry.expires - now);
+      byTable.set(entry.table, current);
+    }
+    return {
+      tables: [...this.tables],
+      ttl: this.ttl,
+      persistPath: this.persistPath,
+      hits: this.hits,
+      misses: this.misses,
+      entries: [...byTable.values()]
+    };
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(readFileSync(this.persistPath, 'utf8'));
+      const now = Date.now();
+      for (const [key, entry] of saved.entries || []) {
+        if (entry.expires > now && this.tables.has(entry.table)) {
+          this.entries.set(key, entry);
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[Cache] Ignoring unreadable cache file ${this.persistPath}: ${error.message}`);
+      }
+    }
+  }
+
+  save() {
+    if (!this.persistPath) {
+      return this.pendingSave;
+    }
+    // Chain writes so an older snapshot never overwrites a newer one
+    this.pendingSave = this.pendingSave.then(async () => {
+      try {
+        await mkdir(dirname(this.persistPath), { recursive: true });
+        await writeFile(this.persistPath, JSON.stringify({ entries: [...this.entries] }), 'utf8');
+      } catch (error) {
+        console.error(`[Cache] Could not write ${this.persistPath}: ${error.message}`);
+      }
+    });
+    return this.pendingSave;
+  }
+}
@@ -0,0 +1,97 @@
+// Validates tool arguments against the JSON Schema subset the tool definitions use:
+// type, properties, required, additionalProperties, items, enum, minimum/maximum
+// and minItems/maxItems
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'object':
+      return typeOf(value) === 'object';
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+function describe(path, message) {
+  return path ? `${path}: ${message}` : message;
+}
+
+/**
+ * Check a value against a schema.
+ * @param {Object} schema - JSON Schema, e.g. a tool's inputSchema
+ * @param {*} value - Value to check, e.g. the tool arguments
+ * @param {string} [path] - Location of the value, used in messages
+ * @returns {string[]} One message per violated constraint, empty when the value is valid
+ */
+export function validateSchema(schema, value, path = '') {
+  if (!schema || typeof schema !== 'object') {
+    return [];
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      return [describe(path, `must be ${types.join(' or ')}, got ${typeOf(value)}`)];
+    }
+  }
+
+  const problems = [];
+  if (schema.enum && !schema.enum.some((allowed) => allowed === value)) {
+    problems.push(describe(path, `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`));
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      problems.push(describe(path, `must be at least ${schema.minimum}, got ${value}`));
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      problems.push(describe(path, `must be at most ${schema.maximum}, got ${value}`));
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      problems.push(describe(path, `must contain at least ${schema.minItems} item(s), got ${value.length}`));
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      problems.push(describe(path, `must contain at most ${schema.maxItems} item(s), got ${value.length}`));
+    }
+    if (schema.items) {
+      value.forEach((item, index) => problems.push(...validateSchema(schema.items, item, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    const prefix = path ? `${path}.` : '';
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        problems.push(`${prefix}${name}: required property is missing`);
+      }
+    }
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (Object.hasOwn(properties, name)) {
+        problems.push(...validateSchema(properties[name], propertyValue, `${prefix}${name}`));
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${prefix}${name}: unknown property`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        problems.push(...validateSchema(schema.additionalProperties, propertyValue, `${prefix}${name}`));
+      }
+    }
+  }
+
+  return problems;
+}
@@ -1,42 +1,132 @@
 import axios from 'axios';
+import { createSign } from 'crypto';
+import { RateLimiter } from './rate-limiter.js';
+import { ResponseCache } from './response-cache.js';
+import { Logger } from './logger.js';
 
-export class ServiceNowClient {
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function buildQueryParams(query, fields, orderBy) {
+  const params = {};
+  if (query) {
+    params.sysparm_query = query;
+  }
+  if (fields) {
+    params.sysparm_fields = Array.isArray(fields) ? fields.join(',') : fields;
+  }
+  if (orderBy) {
+    params.sysparm_orderby = orderBy;
+  }
+  return params;
+}
+
+// Read options shared by getRecord and queryTable
+function buildDisplayParams({ displayValue, excludeReferenceLink } = {}) {
+  const params = {};
+  if (displayValue !== undefined && displayValue !== null && displayValue !== '') {
+    params.sysparm_display_value = String(displayValue);
+  }
+  if (excludeReferenceLink !== undefined) {
+    params.sysparm_exclude_reference_link = String(Boolean(excludeReferenceLink));
+  }
+  return params;
+}
+
+function parseTotalCount(headers = {}) {
+  const total = parseInt(headers['x-total-count'], 10);
+  return Number.isNaN(total) ? null : total;
+}
+
+// Parses `<url>; rel="next", <url>; rel="last"` into { next: url, last: url }
+function parseLinkHeader(header) {
+  const links = {};
+  if (!header) {
+    return links;
+  }
+  for (const match of header.matchAll(/<([^>]+)>\s*;\s*rel="?([^";,]+)"?/g)) {
+    links[match[2]] = match[1];
+  }
+  return links;
+}
+
+// Batch API sub-responses carry base64 encoded bodies
+function decodeBatchBody(body) {
+  if (!body) {
+    return null;
+  }
+  const text = Buffer.from(body, 'base64').toString('utf8');
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+// Table written to by a Table API URL such as /api/now/table/incident/<sys_id>
+function tableFromUrl(url) {
+  const match = /\/api\/now\/(?:v\d+\/)?table\/([^/?]+)/.exec(url);
+  return match ? match[1] : null;
+}
+
+// Authentication strategies selectable through the `authType` config option
+export const AUTH_TYPES = ['oauth_password', 'oauth_client_credentials', 'oauth_jwt', 'basic', 'token'];
+
+/**
+ * Base class for OAuth grants against /oauth_token.do. Subclasses provide the
+ * grant parameters; token caching and expiry handling live here.
+ */
+export class OAuthAuthProvider {
   constructor(config) {
     this.instanceUrl = config.instanceUrl;
     this.clientId = config.clientId;
     this.clientSecret = config.clientSecret;
-    this.username = config.username;
-    this.password = config.password;
     this.scope = config.scope || 'useraccount';
     this.timeout = config.timeout || 30000;
-    
+    this.logger = config.logger || new Logger();
+
     this.accessToken = null;
     this.tokenExpiry = null;
-    
-    // Create axios instance with base configuration
-    this.httpClient = axios.create({
-      baseURL: this.instanceUrl,
-      timeout: this.timeout,
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
-      }
-    });
+    this.tokenRequest = null;
+    this.grantedScope = null;
+  }
+
+  grantParams() {
+    throw new Error(`${this.constructor.name} does not implement grantParams()`);
   }
 
   async authenticate() {
+    return await this.requestToken(this.grantParams());
+  }
+
+  async requestToken(grantParams, label = 'Authentication') {
+    const startedAt = Date.now();
+    this.logger.debug('token_request', { grantType: grantParams.grant_type, params: grantParams });
     try {
       const tokenUrl = `${this.instanceUrl}/oauth_token.do`;
       
       // Create Basic Auth header for client credentials
       const clientCredentials = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
       
-      const data = new URLSearchParams({
-        grant_type: 'password',
-        username: this.username,
-        password: this.password,
-        scope: this.scope
-      });
+      const data = new URLSearchParams(grantParams);
 
       const response = await axios.post(tokenUrl, data, {
         headers: {
@@ -48,135 +138,721 @@ export class ServiceNowClient {
 
       if (response.data.access_token) {
         this.accessToken = response.data.access_token;
+        this.grantedScope = response.data.scope ?? null;
+        this.storeTokenResponse(response.data);
         // Set token expiry (default to 1 hour if not provided)
         const expiresIn = response.data.expires_in || 3600;
         this.tokenExpiry = Date.now() + (expiresIn * 1000);
         
-        // Update default authorization header
-        this.httpClient.defaults.headers.common['Authorization'] = `Bearer ${this.accessToken}`;
-        
-        console.error('Successfully authenticated with ServiceNow');
+        this.logger.info(grantParams.grant_type === 'refresh_token' ? 'token_refreshed' : 'authenticated', {
+          grantType: grantParams.grant_type,
+          expiresIn,
+          durationMs: Date.now() - startedAt
+        });
         return true;
       } else {
         throw new Error('No access token received from ServiceNow');
       }
     } catch (error) {
+      let authError;
       if (error.response) {
-        throw new Error(`Authentication failed: ${error.response.status} - ${error.response.data?.error_description || error.response.statusText}`);
+        authError = new Error(`${label} failed: ${error.response.status} - ${error.response.data?.error_description || error.response.statusText}`);
+        authError.status = error.response.status;
       } else if (error.request) {
-        throw new Error('Authentication failed: No response from ServiceNow server');
+        authError = new Error(`${label} failed: No response from ServiceNow server`);
       } else {
-        throw new Error(`Authentication failed: ${error.message}`);
+        authError = new Error(`${label} failed: ${error.message}`);
       }
+      this.logger.warn('token_request_failed', {
+        grantType: grantParams.grant_type,
+        status: authError.status ?? null,
+        durationMs: Date.now() - startedAt,
+        error: authError.message
+      });
+      throw authError;
     }
   }
 
-  async ensureAuthenticated() {
+  storeTokenResponse(_tokenData) {}
+
+  async renewToken() {
+    return await this.authenticate();
+  }
+
+  async getAuthorizationHeader() {
     // Check if token is expired or will expire in the next 5 minutes
     if (!this.accessToken || !this.tokenExpiry || Date.now() > (this.tokenExpiry - 300000)) {
-      await this.authenticate();
+      // Share one pending renewal between concurrent requests
+      if (!this.tokenRequest) {
+        this.tokenRequest = this.renewToken().finally(() => {
+          this.tokenRequest = null;
+        });
+      }
+      await this.tokenRequest;
     }
+    return `Bearer ${this.accessToken}`;
   }
 
-  async makeRequest(method, path, data = null, params = null) {
-    await this.ensureAuthenticated();
+  invalidate() {
+    this.accessToken = null;
+    this.tokenExpiry = null;
+  }
+}
+
+export class PasswordGrantAuthProvider extends OAuthAuthProvider {
+  constructor(config) {
+    super(config);
+    this.username = config.username;
+    this.password = config.password;
+    this.refreshToken = null;
+  }
+
+  grantParams() {
+    return {
+      grant_type: 'password',
+      username: this.username,
+      password: this.password,
+      scope: this.scope
+    };
+  }
+
+  storeTokenResponse(tokenData) {
+    // ServiceNow may omit the refresh token on refresh grants; keep the current one then
+    if (tokenData.refresh_token) {
+      this.refreshToken = tokenData.refresh_token;
+    }
+  }
+
+  async refreshAccessToken() {
+    if (!this.refreshToken) {
+      throw new Error('Token refresh failed: No refresh token available');
+    }
+
+    return await this.requestToken({
+      grant_type: 'refresh_token',
+      refresh_token: this.refreshToken
+    }, 'Token refresh');
+  }
+
+  async renewToken() {
+    if (this.refreshToken) {
+      try {
+        return await this.refreshAccessToken();
+      } catch (error) {
+        // Only a rejected refresh token justifies sending the password again
+        if (error.status !== 400 && error.status !== 401) {
+          throw error;
+        }
+        this.logger.warn('refresh_token_rejected', { error: error.message, fallback: 'password' });
+        this.refreshToken = null;
+      }
+    }
+    return await this.authenticate();
+  }
+}
+
+export class ClientCredentialsAuthProvider extends OAuthAuthProvider {
+  grantParams() {
+    return {
+      grant_type: 'client_credentials',
+      scope: this.scope
+    };
+  }
+}
+
+export class JwtBearerAuthProvider extends OAuthAuthProvider {
+  constructor(config) {
+    super(config);
+    this.privateKey = config.jwtPrivateKey;
+    this.keyId = config.jwtKeyId;
+    this.issuer = config.jwtIssuer || config.clientId;
+    this.subject = config.jwtSubject || config.username;
+    this.audience = config.jwtAudience || config.clientId;
+  }
+
+  grantParams() {
+    return {
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion: this.createAssertion()
+    };
+  }
+
+  createAssertion() {
+    const now = Math.floor(Date.now() / 1000);
+    const header = { alg: 'RS256', typ: 'JWT', ...(this.keyId && { kid: this.keyId }) };
+    const payload = {
+      iss: this.issuer,
+      sub: this.subject,
+      aud: this.audience,
+      iat: now,
+      exp: now + 300,
+      jti: `${now}-${Math.random().toString(36).slice(2)}`
+    };
+
+    const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+    const unsigned = `${encode(header)}.${encode(payload)}`;
+    const signature = createSign('RSA-SHA256').update(unsigned).sign(this.privateKey, 'base64url');
+    return `${unsigned}.${signature}`;
+  }
+}
+
+export class BasicAuthProvider {
+  constructor(config) {
+    this.username = config.username;
+    this.password = config.password;
+  }
+
+  async authenticate() {
+    return true;
+  }
+
+  async getAuthorizationHeader() {
+    return `Basic ${Buffer.from(`${this.username}:${this.password}`).toString('base64')}`;
+  }
+
+  invalidate() {}
+}
+
+export class StaticTokenAuthProvider {
+  constructor(config) {
+    this.accessToken = config.accessToken;
+  }
+
+  async authenticate() {
+    return true;
+  }
+
+  async getAuthorizationHeader() {
+    return `Bearer ${this.accessToken}`;
+  }
+
+  // A pre-issued token cannot be renewed from here
+  invalidate() {}
+}
+
+export function createAuthProvider(config) {
+  switch (config.authType || 'oauth_password') {
+    case 'oauth_password':
+      return new PasswordGrantAuthProvider(config);
+    case 'oauth_client_credentials':
+      return new ClientCredentialsAuthProvider(config);
+    case 'oauth_jwt':
+      return new JwtBearerAuthProvider(config);
+    case 'basic':
+      return new BasicAuthProvider(config);
+    case 'token':
+      return new StaticTokenAuthProvider(config);
+    default:
+      throw new Error(`Unknown authentication type "${config.authType}" (expected one of: ${AUTH_TYPES.join(', ')})`);
+  }
+}
+
+export class ServiceNowClient {
+  constructor(config) {
+    this.instanceUrl = config.instanceUrl;
+    this.timeout = config.timeout || 30000;
+    this.debug = config.debug || false;
+    // Settings of the connection profile; tools read theirs from here, not process.env
+    this.env = config.env || {};
+    // Name of the connection profile, recorded in the audit log
+    this.profile = config.profile || null;
+    this.logger = config.logger || new Logger({ level: config.logLevel || (this.debug ? 'debug' : 'warn') });
+    this.authProvider = config.authProvider || createAuthProvider({ ...config, logger: this.logger });
+    this.retry = {
+      maxRetries: config.maxRetries ?? 3,
+      baseDelay: config.retryBaseDelay ?? 500,
+      maxDelay: config.retryMaxDelay ?? 30000,
+      retryNonIdempotent: config.retryNonIdempotent ?? false
+    };
+    this.rateLimiter = new RateLimiter({
+      requestsPerSecond: config.requestsPerSecond,
+      burst: config.burst,
+      maxConcurrent: config.maxConcurrent ?? 10,
+      onQueued: (label, queueLength) => {
+        this.logger.debug('request_queued', { request: label, waiting: queueLength, inFlight: this.rateLimiter.inFlight });
+      }
+    });
+    // Read cache for rarely changing tables; cacheTables [] turns it off
+    this.cache = new ResponseCache({
+      tables: config.cacheTables,
+      ttl: config.cacheTtl,
+      persistPath: config.cachePersistPath
+    });
     
-    try {
-      const config = {
-        method,
-        url: path,
-        ...(data && { data }),
-        ...(params && { params })
-      };
+    // Create axios instance with base configuration
+    this.httpClient = axios.create({
+      baseURL: this.instanceUrl,
+      timeout: this.timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      }
+    });
+  }
 
-      const response = await this.httpClient.request(config);
-      return response.data;
-    } catch (error) {
-      if (error.response) {
-        const errorMessage = error.response.data?.error?.message || 
-                           error.response.data?.error?.detail ||
-                           error.response.statusText;
-        throw new Error(`ServiceNow API error (${error.response.status}): ${errorMessage}`);
-      } else if (error.request) {
-        throw new Error('No response from ServiceNow server');
-      } else {
-        throw new Error(`Request failed: ${error.message}`);
+  async authenticate() {
+    return await this.authProvider.authenticate();
+  }
+
+  async ensureAuthenticated() {
+    const authorization = await this.authProvider.getAuthorizationHeader();
+    this.httpClient.defaults.headers.common['Authorization'] = authorization;
+  }
+
+  async makeRequest(method, path, data = null, params = null) {
+    const response = await this.sendRequest(method, path, data, params);
+    return response.data;
+  }
+
+  // Like makeRequest, but resolves with the full axios response (status, headers, data)
+  async sendRequest(method, path, data = null, params = null) {
+    const config = {
+      method,
+      url: path,
+      ...(data && { data }),
+      ...(params && { params })
+    };
+
+    let retries = 0;
+    let reauthenticated = false;
+
+    for (;;) {
+      await this.ensureAuthenticated();
+
+      const release = await this.rateLimiter.acquire(`${method} ${path}`);
+      const startedAt = Date.now();
+      try {
+        const response = await this.httpClient.request(config);
+        this.logRequest(method, path, config, response, startedAt);
+        return response;
+      } catch (error) {
+        // Free the slot before any backoff so waiting retries don't block other calls
+        release();
+        this.logRequest(method, path, config, error.response, startedAt, error);
+
+        // A revoked or expired token: drop it and re-authenticate once before giving up
+        if (error.response?.status === 401 && !reauthenticated) {
+          reauthenticated = true;
+          this.authProvider.invalidate();
+          this.logger.warn('reauthenticate', { method, path, status: 401 });
+          continue;
+        }
+
+        const delay = this.getRetryDelay(method, error, retries);
+        if (delay === null) {
+          throw this.toRequestError(error);
+        }
+
+        retries++;
+        this.logger.warn('retry', {
+          method,
+          path,
+          status: error.response?.status ?? null,
+          code: error.code ?? null,
+          attempt: retries,
+          maxRetries: this.retry.maxRetries,
+          delayMs: delay
+        });
+        await sleep(delay);
+      } finally {
+        release();
+      }
+    }
+  }
+
+  /**
+   * One log line per HTTP attempt: a summary at info level (warn when it
+   * failed), plus query parameters, body and headers at debug level.
+   */
+  logRequest(method, path, config, response, startedAt, error = null) {
+    const level = error ? 'warn' : 'info';
+    if (!this.logger.isEnabled(level)) {
+      return;
+    }
+    const result = response?.data?.result;
+    this.logger.log(level, 'request', {
+      method,
+      path,
+      status: response?.status ?? null,
+      durationMs: Date.now() - startedAt,
+      records: Array.isArray(result) ? result.length : result ? 1 : 0,
+      ...(error && { error: response?.data?.error?.message || error.code || error.message }),
+      ...(this.logger.isEnabled('debug') && {
+        params: config.params,
+        body: config.data,
+        headers: { ...this.httpClient.defaults.headers.common, ...config.headers }
+      })
+    });
+  }
+
+  /**
+   * Returns the delay in ms before the next attempt, or null when the error
+   * should not be retried.
+   */
+  getRetryDelay(method, error, retries) {
+    if (retries >= this.retry.maxRetries) {
+      return null;
+    }
+    if (!this.retry.retryNonIdempotent && !IDEMPOTENT_METHODS.includes(method.toUpperCase())) {
+      return null;
+    }
+
+    const status = error.response?.status;
+    if (status) {
+      if (!RETRYABLE_STATUSES.includes(status)) {
+        return null;
+      }
+      const retryAfter = parseRetryAfter(error.response.headers?.['retry-after']);
+      if (retryAfter !== null) {
+        // Waiting less than the server asked for only earns another rejection
+        return retryAfter <= this.retry.maxDelay ? retryAfter : null;
       }
+    } else if (!RETRYABLE_ERROR_CODES.includes(error.code)) {
+      return null;
+    }
+
+    // Exponential backoff with jitter over the upper half of the window
+    const ceiling = Math.min(this.retry.maxDelay, this.retry.baseDelay * 2 ** retries);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  toRequestError(error) {
+    let requestError;
+    if (error.response) {
+      const errorMessage = error.response.data?.error?.message || 
+                         error.response.data?.error?.detail ||
+                         error.response.statusText;
+      requestError = new Error(`ServiceNow API error (${error.response.status}): ${errorMessage}`);
+      requestError.status = error.response.status;
+    } else if (error.request) {
+      requestError = new Error('No response from ServiceNow server');
+    } else {
+      requestError = new Error(`Request failed: ${error.message}`);
+    }
+    return requestError;
+  }
+
+  /**
+   * Serve a read from the response cache when the table is cached, otherwise
+   * (or with options.cache === false) call `fetch`.
+   */
+  async readThroughCache(table, request, options, fetch) {
+    if (options.cache === false || !this.cache.isCached(table)) {
+      return await fetch();
+    }
+    const key = ResponseCache.key(table, request);
+    const cached = this.cache.get(key);
+    if (cached !== undefined) {
+      return cached;
+    }
+    const value = await fetch();
+    this.cache.set(key, table, value);
+    return value;
+  }
+
+  invalidateCache(table) {
+    if (table && this.cache.isCached(table)) {
+      this.cache.flush(table);
     }
   }
 
   // Table API methods
-  async getRecord(table, sysId, fields = null) {
-    const params = {};
+  /**
+   * @param {Object} [options] - displayValue ('true' | 'false' | 'all'), excludeReferenceLink
+   *   and cache (false skips the response cache)
+   */
+  async getRecord(table, sysId, fields = null, options = {}) {
+    const params = buildDisplayParams(options);
     if (fields) {
       params.sysparm_fields = Array.isArray(fields) ? fields.join(',') : fields;
     }
     
-    return await this.makeRequest('GET', `/api/now/table/${table}/${sysId}`, null, params);
+    return await this.readThroughCache(table, { sysId, ...params }, options, () =>
+      this.makeRequest('GET', `/api/now/table/${table}/${sysId}`, null, params));
   }
 
-  async queryTable(table, query = null, fields = null, limit = 100, offset = 0, orderBy = null) {
+  /**
+   * Query a table. Besides ServiceNow's `result` array the returned object
+   * carries `totalCount` from the X-Total-Count header (null if absent).
+   * @param {Object} [options] - displayValue ('true' | 'false' | 'all'), excludeReferenceLink
+   *   and cache (false skips the response cache)
+   */
+  async queryTable(table, query = null, fields = null, limit = 100, offset = 0, orderBy = null, options = {}) {
     const params = {
       sysparm_limit: limit,
-      sysparm_offset: offset
+      sysparm_offset: offset,
+      ...buildQueryParams(query, fields, orderBy),
+      ...buildDisplayParams(options)
     };
     
-    if (query) {
-      params.sysparm_query = query;
+    return await this.readThroughCache(table, params, options, async () => {
+      const response = await this.sendRequest('GET', `/api/now/table/${table}`, null, params);
+      return {
+        ...response.data,
+        totalCount: parseTotalCount(response.headers)
+      };
+    });
+  }
+
+  /**
+   * Walk a table page by page, following the Link rel="next" header and
+   * falling back to X-Total-Count when the instance does not send links.
+   * @param {string} table - Table name
+   * @param {Object} [options] - query, fields, orderBy, pageSize (default 1000), offset,
+   *   displayValue and excludeReferenceLink
+   * @yields {{records: Object[], offset: number, totalCount: number|null}}
+   */
+  async *paginateTable(table, options = {}) {
+    const { query = null, fields = null, orderBy = null, pageSize = 1000 } = options;
+    let offset = options.offset || 0;
+    let path = `/api/now/table/${table}`;
+    let params = {
+      sysparm_limit: pageSize,
+      sysparm_offset: offset,
+      ...buildQueryParams(query, fields, orderBy),
+      ...buildDisplayParams(options)
+    };
+
+    while (path) {
+      const response = await this.sendRequest('GET', path, null, params);
+      const records = response.data.result || [];
+      const totalCount = parseTotalCount(response.headers);
+
+      yield { records, offset, totalCount };
+
+      offset += records.length;
+      const nextLink = parseLinkHeader(response.headers.link).next;
+      if (!records.length) {
+        path = null;
+      } else if (nextLink) {
+        // The next link already carries every sysparm_* parameter
+        path = nextLink;
+        params = null;
+      } else if (totalCount !== null && offset < totalCount) {
+        params = { ...params, sysparm_offset: offset };
+      } else {
+        path = null;
+      }
     }
-    if (fields) {
-      params.sysparm_fields = Array.isArray(fields) ? fields.join(',') : fields;
+  }
+
+  /**
+   * Iterate over every record matching a query.
+   * @example
+   * for await (const incident of client.iterateTable('incident', { query: 'active=true' })) { ... }
+   */
+  async *iterateTable(table, options = {}) {
+    for await (const page of this.paginateTable(table, options)) {
+      yield* page.records;
     }
-    if (orderBy) {
-      params.sysparm_orderby = orderBy;
+  }
+
+  /**
+   * Fetch all records matching a query up to maxRecords.
+   * @param {Object} [options] - As for paginateTable, plus maxRecords and `until`,
+   *   called with the records so far after each page; returning true stops early
+   * @returns {Promise<{records: Object[], totalCount: number|null, truncated: boolean}>}
+   */
+  async queryAll(table, options = {}) {
+    const { maxRecords = Infinity, until = () => false } = options;
+    const pageSize = Math.min(options.pageSize || 1000, maxRecords);
+    const records = [];
+    let totalCount = null;
+
+    for await (const page of this.paginateTable(table, { ...options, pageSize })) {
+      totalCount = page.totalCount ?? totalCount;
+      records.push(...page.records.slice(0, maxRecords - records.length));
+      if (records.length >= maxRecords || until(records)) {
+        break;
+      }
     }
-    
-    return await this.makeRequest('GET', `/api/now/table/${table}`, null, params);
+
+    return {
+      records,
+      totalCount,
+      truncated: totalCount !== null ? totalCount > (options.offset || 0) + records.length : records.length >= maxRecords
+    };
   }
 
   async createRecord(table, data) {
-    return await this.makeRequest('POST', `/api/now/table/${table}`, data);
+    const result = await this.makeRequest('POST', `/api/now/table/${table}`, data);
+    this.invalidateCache(table);
+    return result;
+  }
+
+  /**
+   * Partially update a record with PATCH; fields not in `data` are left alone.
+   * @param {Object} [options] - expectedUpdatedOn / expectedModCount from a prior
+   *   read; when given, the write is refused if the record changed since then
+   */
+  async updateRecord(table, sysId, data, options = {}) {
+    if (options.expectedUpdatedOn || (options.expectedModCount !== undefined && options.expectedModCount !== null)) {
+      await this.assertRecordUnchanged(table, sysId, options);
+    }
+    const result = await this.makeRequest('PATCH', `/api/now/table/${table}/${sysId}`, data);
+    this.invalidateCache(table);
+    return result;
   }
 
-  async updateRecord(table, sysId, data) {
-    return await this.makeRequest('PUT', `/api/now/table/${table}/${sysId}`, data);
+  // ServiceNow has no If-Match support, so compare the version fields right before writing
+  async assertRecordUnchanged(table, sysId, { expectedUpdatedOn, expectedModCount }) {
+    const current = await this.getRecord(table, sysId, 'sys_updated_on,sys_mod_count,sys_updated_by', { cache: false });
+    const { sys_updated_on: updatedOn, sys_mod_count: modCount, sys_updated_by: updatedBy } = current.result;
+
+    const changes = [];
+    if (expectedUpdatedOn && expectedUpdatedOn !== updatedOn) {
+      changes.push(`sys_updated_on ${expectedUpdatedOn} -> ${updatedOn}`);
+    }
+    if (expectedModCount !== undefined && expectedModCount !== null && Number(expectedModCount) !== Number(modCount)) {
+      changes.push(`sys_mod_count ${expectedModCount} -> ${modCount}`);
+    }
+
+    if (changes.length) {
+      const error = new Error(`Update conflict on ${table}/${sysId}: the record was changed by ${updatedBy || 'another user'} since it was read (${changes.join(', ')}). Re-read the record and apply the update again.`);
+      error.status = 409;
+      throw error;
+    }
   }
 
   async deleteRecord(table, sysId) {
-    return await this.makeRequest('DELETE', `/api/now/table/${table}/${sysId}`);
+    const result = await this.makeRequest('DELETE', `/api/now/table/${table}/${sysId}`);
+    this.invalidateCache(table);
+    return result;
+  }
+
+  /**
+   * Send several REST sub-requests in one round trip through the Batch API.
+   * @param {Array<{id?: string, method: string, url: string, body?: Object}>} requests -
+   *   `url` is relative to the instance, e.g. /api/now/table/incident/<sys_id>
+   * @returns {Promise<{results: Array<{id: string, status: number, statusText: string, body: *}>, unserviced: string[]}>}
+   *   Results in the order of `requests`; sub-requests ServiceNow skipped are listed in `unserviced`
+   */
+  async executeBatch(requests) {
+    const restRequests = requests.map((request, index) => ({
+      id: String(request.id ?? index + 1),
+      method: request.method.toUpperCase(),
+      url: request.url,
+      headers: [
+        { name: 'Content-Type', value: 'application/json' },
+        { name: 'Accept', value: 'application/json' }
+      ],
+      ...(request.body !== undefined && request.body !== null && {
+        body: Buffer.from(JSON.stringify(request.body)).toString('base64')
+      })
+    }));
+
+    const response = await this.makeRequest('POST', '/api/now/v1/batch', {
+      batch_request_id: `${Date.now()}`,
+      rest_requests: restRequests
+    });
+
+    restRequests
+      .filter((request) => request.method !== 'GET')
+      .forEach((request) => this.invalidateCache(tableFromUrl(request.url)));
+
+    const serviced = new Map((response.serviced_requests || []).map((item) => [item.id, item]));
+    const results = restRequests
+      .filter((request) => serviced.has(request.id))
+      .map((request) => {
+        const item = serviced.get(request.id);
+        return {
+          id: request.id,
+          status: item.status_code,
+          statusText: item.status_text,
+          body: decodeBatchBody(item.body)
+        };
+      });
+
+    return {
+      results,
+      unserviced: (response.unserviced_requests || []).map((item) => (typeof item === 'object' ? item.id : item))
+    };
+  }
+
+  /**
+   * Compute counts and field aggregates server-side through the Aggregate API.
+   * @param {string} table - Table name
+   * @param {Object} [options] - query, count (default true), avgFields, minFields, maxFields,
+   *   sumFields, groupBy, having, orderBy and displayValue. Field lists may be arrays or comma-separated strings.
+   * @returns {Promise<Array<{groupBy: Array<{field: string, value: string, displayValue?: string}>, stats: Object}>>}
+   *   One entry per group, or a single entry with an empty groupBy when not grouping
+   */
+  async aggregate(table, options = {}) {
+    const { query, count = true, having, orderBy, displayValue } = options;
+    const list = (fields) => (Array.isArray(fields) ? fields.join(',') : fields);
+    const params = {};
+
+    if (query) {
+      params.sysparm_query = query;
+    }
+    if (count) {
+      params.sysparm_count = 'true';
+    }
+    for (const [option, param] of [
+      ['avgFields', 'sysparm_avg_fields'],
+      ['minFields', 'sysparm_min_fields'],
+      ['maxFields', 'sysparm_max_fields'],
+      ['sumFields', 'sysparm_sum_fields'],
+      ['groupBy', 'sysparm_group_by']
+    ]) {
+      if (list(options[option])) {
+        params[param] = list(options[option]);
+      }
+    }
+    if (having) {
+      params.sysparm_having = having;
+    }
+    if (orderBy) {
+      params.sysparm_order_by = list(orderBy);
+    }
+    if (displayValue !== undefined && displayValue !== null && displayValue !== '') {
+      params.sysparm_display_value = String(displayValue);
+    }
+
+    const response = await this.makeRequest('GET', `/api/now/stats/${table}`, null, params);
+    const groups = Array.isArray(response.result) ? response.result : [response.result || {}];
+
+    return groups.map((group) => ({
+      groupBy: (group.groupby_fields || []).map((item) => ({
+        field: item.field,
+        value: item.value,
+        ...(item.display_value !== undefined && { displayValue: item.display_value })
+      })),
+      stats: group.stats || {}
+    }));
   }
 
   // Incident-specific methods
-  async getIncident(sysId, fields = null) {
-    return await this.getRecord('incident', sysId, fields);
+  async getIncident(sysId, fields = null, options = {}) {
+    return await this.getRecord('incident', sysId, fields, options);
   }
 
   async createIncident(incidentData) {
     return await this.createRecord('incident', incidentData);
   }
 
-  async updateIncident(sysId, incidentData) {
-    return await this.updateRecord('incident', sysId, incidentData);
+  async updateIncident(sysId, incidentData, options = {}) {
+    return await this.updateRecord('incident', sysId, incidentData, options);
   }
 
-  async queryIncidents(query = null, fields = null, limit = 100, offset = 0) {
-    return await this.queryTable('incident', query, fields, limit, offset);
+  async queryIncidents(query = null, fields = null, limit = 100, offset = 0, orderBy = null, options = {}) {
+    return await this.queryTable('incident', query, fields, limit, offset, orderBy, options);
   }
 
   // Script Include methods
-  async getScriptInclude(sysId, fields = null) {
-    return await this.getRecord('sys_script_include', sysId, fields);
+  async getScriptInclude(sysId, fields = null, options = {}) {
+    return await this.getRecord('sys_script_include', sysId, fields, options);
   }
 
   async createScriptInclude(scriptData) {
     return await this.createRecord('sys_script_include', scriptData);
   }
 
-  async updateScriptInclude(sysId, scriptData) {
-    return await this.updateRecord('sys_script_include', sysId, scriptData);
+  async updateScriptInclude(sysId, scriptData, options = {}) {
+    return await this.updateRecord('sys_script_include', sysId, scriptData, options);
   }
 
-  async queryScriptIncludes(query = null, fields = null, limit = 100, offset = 0) {
-    return await this.queryTable('sys_script_include', query, fields, limit, offset);
+  async queryScriptIncludes(query = null, fields = null, limit = 100, offset = 0, orderBy = null, options = {}) {
+    return await this.queryTable('sys_script_include', query, fields, limit, offset, orderBy, options);
   }
 }
@@ -0,0 +1,120 @@
+// Which tools and tables a connection profile may use: read-only mode plus
+// allow/deny lists. Applied when listing tools and again on every call.
+
+import { findMatchingPattern, parseTableList } from './tools/table-rules.js';
+
+// Tools that write to the instance; servicenow_batch is checked per operation
+const WRITE_TOOL_PATTERN = /_(create|update|delete|execute)(_|$)|^servicenow_bulk_update/;
+
+// Tables behind tools that do not take a `table` argument
+const FIXED_TOOL_TABLES = [
+  [/^servicenow_incident_/, ['incident']],
+  [/^servicenow_script_include_/, ['sys_script_include']],
+  [/^servicenow_process_definition_/, ['sys_pd_process_definition']],
+  [/process_lane/, ['sys_pd_lane']],
+  [/process_activit/, ['sys_pd_activity']],
+];
+
+export function isWriteTool(toolName) {
+  return WRITE_TOOL_PATTERN.test(toolName);
+}
+
+/**
+ * Tables a tool call touches, as far as they can be told from its name and arguments.
+ * @param {string} toolName
+ * @param {Object} [args]
+ * @returns {string[]}
+ */
+export function getToolTables(toolName, args = {}) {
+  const tables = FIXED_TOOL_TABLES
+    .filter(([pattern]) => pattern.test(toolName))
+    .flatMap(([, fixed]) => fixed);
+  if (typeof args.table === 'string' && args.table) {
+    tables.push(args.table);
+  }
+  if (Array.isArray(args.operations)) {
+    tables.push(...args.operations.map((op) => op?.table).filter(Boolean));
+  }
+  return [...new Set(tables)];
+}
+
+export class ToolPolicy {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.readOnly] - Refuse every tool and batch operation that writes
+   * @param {string[]} [options.allowedTools] - Tool name patterns; when non-empty only these are available
+   * @param {string[]} [options.deniedTools] - Tool name patterns that are never available
+   * @param {string[]} [options.allowedTables] - Table patterns; when non-empty only these may be touched
+   * @param {string[]} [options.deniedTables] - Table patterns that may never be touched
+   */
+  constructor(options = {}) {
+    this.readOnly = options.readOnly || false;
+    this.allowedTools = options.allowedTools || [];
+    this.deniedTools = options.deniedTools || [];
+    this.allowedTables = options.allowedTables || [];
+    this.deniedTables = options.deniedTables || [];
+  }
+
+  static fromEnv(env = process.env) {
+    const list = (name) => (env[name] ? parseTableList(env[name]) : []);
+    return new ToolPolicy({
+      readOnly: /^true$/i.test(env.SERVICENOW_READ_ONLY || ''),
+      allowedTools: list('SERVICENOW_ALLOWED_TOOLS'),
+      deniedTools: list('SERVICENOW_DENIED_TOOLS'),
+      allowedTables: list('SERVICENOW_ALLOWED_TABLES'),
+      deniedTables: list('SERVICENOW_DENIED_TABLES'),
+    });
+  }
+
+  /**
+   * Reason a tool is unavailable regardless of its arguments, or null.
+   * @param {string} toolName
+   * @returns {string|null}
+   */
+  checkTool(toolName) {
+    if (this.readOnly && isWriteTool(toolName)) {
+      return `${toolName} writes to ServiceNow and the server is in read-only mode (SERVICENOW_READ_ONLY)`;
+    }
+    const denied = findMatchingPattern(toolName, this.deniedTools);
+    if (denied) {
+      return `${toolName} matches "${denied}" in SERVICENOW_DENIED_TOOLS`;
+    }
+    if (this.allowedTools.length && !findMatchingPattern(toolName, this.allowedTools)) {
+      return `${toolName} is not in SERVICENOW_ALLOWED_TOOLS`;
+    }
+    return this.checkTables(getToolTables(toolName));
+  }
+
+  /**
+   * Reason a call is refused, or null when it may run.
+   * @param {string} toolName
+   * @param {Object} [args]
+   * @returns {string|null}
+   */
+  checkCall(toolName, args = {}) {
+    const toolProblem = this.checkTool(toolName);
+    if (toolProblem) {
+      return toolProblem;
+    }
+    if (this.readOnly && Array.isArray(args.operations)) {
+      const write = args.operations.find((op) => op?.operation && op.operation !== 'get');
+      if (write) {
+        return `batch operation "${write.operation}" writes to ServiceNow and the server is in read-only mode (SERVICENOW_READ_ONLY)`;
+      }
+    }
+    return this.checkTables(getToolTables(toolName, args));
+  }
+
+  checkTables(tables) {
+    for (const table of tables) {
+      const denied = findMatchingPattern(table, this.deniedTables);
+      if (denied) {
+        return `table "${table}" matches "${denied}" in SERVICENOW_DENIED_TABLES`;
+      }
+      if (this.allowedTables.length && !findMatchingPattern(table, this.allowedTables)) {
+        return `table "${table}" is not in SERVICENOW_ALLOWED_TABLES`;
+      }
+    }
+    return null;
+  }
+}
@@ -0,0 +1,84 @@
+// Exact-name registry of every tool definition and the handler that runs it
+
+import { incidentToolHandlers, registerIncidentTools } from './tools/incidents.js';
+import { registerScriptIncludeTools, scriptIncludeToolHandlers } from './tools/script-includes.js';
+import { registerTableTools, tableToolHandlers } from './tools/table-api.js';
+import { processDefinitionToolHandlers, registerProcessDefinitionTools } from './tools/process-definitions.js';
+import { processLaneToolHandlers, registerProcessLaneTools } from './tools/process-lanes.js';
+import { processActivityToolHandlers, registerProcessActivityTools } from './tools/process-activities.js';
+import { batchToolHandlers, registerBatchTools } from './tools/batch.js';
+import { bulkUpdateToolHandlers, registerBulkUpdateTools } from './tools/bulk-update.js';
+import { aggregateToolHandlers, registerAggregateTools } from './tools/aggregate.js';
+import { cacheToolHandlers, registerCacheTools } from './tools/cache.js';
+import { auditToolHandlers, registerAuditTools } from './tools/audit.js';
+
+// Each tool module contributes its definitions and its handlers by tool name
+const TOOL_MODULES = [
+  [registerIncidentTools, incidentToolHandlers],
+  [registerScriptIncludeTools, scriptIncludeToolHandlers],
+  [registerTableTools, tableToolHandlers],
+  [registerProcessDefinitionTools, processDefinitionToolHandlers],
+  [registerProcessLaneTools, processLaneToolHandlers],
+  [registerProcessActivityTools, processActivityToolHandlers],
+  [registerBatchTools, batchToolHandlers],
+  [registerBulkUpdateTools, bulkUpdateToolHandlers],
+  [registerAggregateTools, aggregateToolHandlers],
+  [registerCacheTools, cacheToolHandlers],
+  [registerAuditTools, auditToolHandlers],
+];
+
+export class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  /**
+   * Register a tool module. Every definition needs a handler of the same name
+   * and every handler a definition, and names must be unique across modules.
+   * @param {Object[]} definitions - Tool definitions as returned by ListTools
+   * @param {Object<string, Function>} handlers - (serviceNowClient, args) => response, by tool name
+   */
+  register(definitions, handlers) {
+    const names = definitions.map((definition) => definition.name);
+    const unrouted = names.filter((name) => typeof handlers[name] !== 'function');
+    if (unrouted.length) {
+      throw new Error(`No handler registered for tool(s): ${unrouted.join(', ')}`);
+    }
+    const undefinedTools = Object.keys(handlers).filter((name) => !names.includes(name));
+    if (undefinedTools.length) {
+      throw new Error(`No tool definition registered for handler(s): ${undefinedTools.join(', ')}`);
+    }
+
+    for (const definition of definitions) {
+      if (this.tools.has(definition.name)) {
+        throw new Error(`Tool "${definition.name}" is registered more than once`);
+      }
+      this.tools.set(definition.name, { definition, handler: handlers[definition.name] });
+    }
+  }
+
+  /**
+   * @param {string} name
+   * @returns {{definition: Object, handler: Function}|undefined}
+   */
+  get(name) {
+    return this.tools.get(name);
+  }
+
+  definitions() {
+    return [...this.tools.values()].map((tool) => tool.definition);
+  }
+}
+
+/**
+ * Build the registry of all tool modules. Throws when a module's definitions
+ * and handlers do not match up, so a broken registration fails at startup.
+ * @returns {ToolRegistry}
+ */
+export function createToolRegistry() {
+  const registry = new ToolRegistry();
+  for (const [registerTools, handlers] of TOOL_MODULES) {
+    registry.register(registerTools(), handlers);
+  }
+  return registry;
+}
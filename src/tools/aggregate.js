@@ -0,0 +1,158 @@
+// Aggregate tool handler - counts, sums and averages computed by the ServiceNow Stats API
+
+import { DISPLAY_VALUE_PROPERTY, formatFieldValue } from './formatting.js';
+import { FORMAT_PROPERTY, renderRecords } from './rendering.js';
+import { MAX_CHARS_PROPERTY } from './budget.js';
+import { toolError, toolResult } from './results.js';
+
+const DEFAULT_GROUP_LIMIT = 100;
+const AGGREGATES = ['avg', 'min', 'max', 'sum'];
+
+export function registerAggregateTools() {
+  return [
+    {
+      name: 'servicenow_aggregate',
+      description: 'Count records and compute avg/min/max/sum of fields on the ServiceNow side (Aggregate API), optionally grouped. Use this instead of listing records when you only need totals or distributions.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          table: {
+            type: 'string',
+            description: 'Name of the ServiceNow table (e.g., incident)'
+          },
+          query: {
+            type: 'string',
+            description: 'Encoded query selecting the records to aggregate, e.g. "sys_created_on>javascript:gs.daysAgo(30)"'
+          },
+          count: {
+            type: 'boolean',
+            description: 'Count records (default: true)',
+            default: true
+          },
+          avg_fields: {
+            type: 'string',
+            description: 'Comma-separated numeric fields to average'
+          },
+          min_fields: {
+            type: 'string',
+            description: 'Comma-separated fields to compute the minimum of'
+          },
+          max_fields: {
+            type: 'string',
+            description: 'Comma-separated fields to compute the maximum of'
+          },
+          sum_fields: {
+            type: 'string',
+            description: 'Comma-separated numeric fields to sum'
+          },
+          group_by: {
+            type: 'string',
+            description: 'Comma-separated fields to group by (e.g., "priority,category")'
+          },
+          having: {
+            type: 'string',
+            description: 'Filter groups by an aggregate, as aggregate^field^operator^value (e.g., "count^priority^>^5")'
+          },
+          order_by: {
+            type: 'string',
+            description: 'Order groups, passed to ServiceNow as sysparm_order_by (default: highest count first)'
+          },
+          limit: {
+            type: 'number',
+            description: `Maximum number of groups to show (default: ${DEFAULT_GROUP_LIMIT})`,
+            minimum: 1
+          },
+          display_value: DISPLAY_VALUE_PROPERTY,
+          format: {
+            ...FORMAT_PROPERTY,
+            description: 'Output format for the groups: "markdown" (table, default), "csv", "json" or "compact"'
+          },
+          max_chars: MAX_CHARS_PROPERTY
+        },
+        required: ['table']
+      }
+    }
+  ];
+}
+
+/**
+ * Aggregate tool handlers by tool name
+ * @type {Object<string, function(ServiceNowClient, Object): Promise<Object>>}
+ */
+export const aggregateToolHandlers = {
+  servicenow_aggregate: handleAggregate
+};
+
+async function handleAggregate(serviceNowClient, args) {
+  try {
+    const {
+      table,
+      query,
+      count = true,
+      group_by,
+      having,
+      order_by,
+      limit = DEFAULT_GROUP_LIMIT,
+      display_value,
+      format = 'markdown'
+    } = args;
+
+    const fieldsFor = Object.fromEntries(AGGREGATES.map((agg) => [agg, splitFields(args[`${agg}_fields`])]));
+    if (!count && AGGREGATES.every((agg) => !fieldsFor[agg].length)) {
+      throw new Error('nothing to compute: set count to true or pass at least one of avg_fields, min_fields, max_fields or sum_fields');
+    }
+
+    const groups = await serviceNowClient.aggregate(table, {
+      query,
+      count,
+      avgFields: fieldsFor.avg,
+      minFields: fieldsFor.min,
+      maxFields: fieldsFor.max,
+      sumFields: fieldsFor.sum,
+      groupBy: splitFields(group_by),
+      having,
+      orderBy: order_by,
+      displayValue: display_value
+    });
+
+    if (count && group_by && !order_by) {
+      groups.sort((a, b) => Number(b.stats.count || 0) - Number(a.stats.count || 0));
+    }
+
+    const groupFields = splitFields(group_by);
+    const columns = [
+      ...groupFields.map((field) => ({ title: field, value: (group) => formatGroupValue(group, field) })),
+      ...(count ? [{ title: 'COUNT', value: (group) => group.stats.count ?? '' }] : []),
+      ...AGGREGATES.flatMap((agg) => fieldsFor[agg].map((field) => ({
+        title: `${agg.toUpperCase()}(${field})`,
+        value: (group) => group.stats[agg]?.[field] ?? ''
+      })))
+    ];
+
+    const shown = groups.slice(0, limit);
+    let text = `Aggregate of ${table}${query ? ` where ${query}` : ''}`;
+    text += groupFields.length ? `, ${groups.length} group(s):\n\n` : ':\n\n';
+    const rows = shown.map((group) => Object.fromEntries(columns.map((column) => [column.title, column.value(group)])));
+    text += renderRecords(rows, { format, columns: columns.map((column) => column.title) });
+    if (groups.length > shown.length) {
+      text += `\n\n${groups.length - shown.length} more group(s) not shown. Raise limit or narrow the query.`;
+    }
+
+    return toolResult(text.trimEnd(), { table, query: query || null, group_count: groups.length, groups: shown });
+  } catch (error) {
+    return toolError(`Error aggregating table: ${error.message}`);
+  }
+}
+
+function splitFields(fields) {
+  return (fields || '').split(',').map((field) => field.trim()).filter(Boolean);
+}
+
+function formatGroupValue(group, field) {
+  const item = group.groupBy.find((entry) => entry.field === field);
+  if (!item) {
+    return '';
+  }
+  const value = formatFieldValue({ display_value: item.displayValue, value: item.value });
+  return value === '' ? '(empty)' : value;
+}
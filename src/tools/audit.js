@@ -0,0 +1,107 @@
+// Audit tool handler - reads recent entries from the audit log
+
+import { toolError, toolResult } from './results.js';
+import { getAuditLogPath, readAuditEntries } from '../audit-log.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 200;
+
+export function registerAuditTools() {
+  return [
+    {
+      name: 'servicenow_audit_log',
+      description: 'List recent entries of the audit log the server writes for every create, update, delete and execute tool call, newest first. Shows the tool, table, sys_id, submitted fields, prior values and outcome of each change made on this instance.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          limit: {
+            type: 'number',
+            description: `Maximum number of entries to return (default: ${DEFAULT_LIMIT}, max: ${MAX_LIMIT})`,
+            default: DEFAULT_LIMIT
+          },
+          tool: {
+            type: 'string',
+            description: 'Only entries of this tool, e.g. servicenow_update_record'
+          },
+          table: {
+            type: 'string',
+            description: 'Only entries for this table'
+          },
+          sys_id: {
+            type: 'string',
+            description: 'Only entries for this record'
+          },
+          outcome: {
+            type: 'string',
+            description: 'Only entries with this outcome',
+            enum: ['success', 'error', 'not_serviced']
+          },
+          since: {
+            type: 'string',
+            description: 'Only entries at or after this ISO 8601 timestamp, e.g. 2024-05-01T00:00:00Z'
+          },
+          all_instances: {
+            type: 'boolean',
+            description: 'Include entries written for other instances (default: false)',
+            default: false
+          }
+        }
+      }
+    }
+  ];
+}
+
+/**
+ * Audit tool handlers by tool name
+ * @type {Object<string, function(ServiceNowClient, Object): Promise<Object>>}
+ */
+export const auditToolHandlers = {
+  servicenow_audit_log: handleAuditLog
+};
+
+function formatEntry(entry) {
+  const target = [entry.table, entry.sys_id].filter(Boolean).join('/') || '-';
+  let text = `- ${entry.timestamp} [${entry.outcome}] ${entry.tool}${entry.operation ? ` (${entry.operation})` : ''} ${target}`;
+  if (entry.operation_id) {
+    text += `\n  operation: ${entry.operation_id}`;
+  }
+  if (entry.fields && Object.keys(entry.fields).length) {
+    text += `\n  fields: ${JSON.stringify(entry.fields)}`;
+  }
+  if (entry.prior_values) {
+    text += `\n  prior values: ${JSON.stringify(entry.prior_values)}`;
+  }
+  if (entry.error) {
+    text += `\n  error: ${entry.error}`;
+  }
+  return text;
+}
+
+async function handleAuditLog(serviceNowClient, args) {
+  try {
+    const { tool, table, sys_id, outcome, since, all_instances = false } = args;
+    const limit = Math.min(Math.max(parseInt(args.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    if (since && Number.isNaN(Date.parse(since))) {
+      throw new Error(`"since" is not a valid timestamp: ${since}`);
+    }
+
+    const entries = await readAuditEntries({
+      limit,
+      tool,
+      table,
+      sys_id,
+      outcome,
+      since: since && new Date(since).toISOString(),
+      instance: all_instances ? undefined : serviceNowClient.instanceUrl
+    }, serviceNowClient.env);
+
+    const scope = all_instances ? 'all instances' : serviceNowClient.instanceUrl;
+    if (!entries.length) {
+      return toolResult(`No matching audit entries for ${scope} in ${getAuditLogPath(serviceNowClient.env)}.`, { entries });
+    }
+
+    return toolResult(`${entries.length} most recent audit entr${entries.length === 1 ? 'y' : 'ies'} for ${scope} (newest first):\n\n${entries.map(formatEntry).join('\n')}`, { entries });
+  } catch (error) {
+    return toolError(`Error reading audit log: ${error.message}`);
+  }
+}
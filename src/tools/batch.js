@@ -0,0 +1,208 @@
+// Batch tool handler - runs many record operations in one Batch API round trip
+
+import { checkWritePolicy, findMatchingPattern, getProtectedTables } from './table-rules.js';
+import { toolError, toolResult } from './results.js';
+import { readPriorValues, writeAuditEntry } from '../audit-log.js';
+
+const MAX_BATCH_OPERATIONS = 100;
+
+export function registerBatchTools() {
+  return [
+    {
+      name: 'servicenow_batch',
+      description: 'Run several get/create/update/delete record operations in a single request via the ServiceNow Batch API and report the status of each one. Operations are independent: a failing item does not roll back the others.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          operations: {
+            type: 'array',
+            description: `Operations to run (max ${MAX_BATCH_OPERATIONS})`,
+            minItems: 1,
+            maxItems: MAX_BATCH_OPERATIONS,
+            items: {
+              type: 'object',
+              properties: {
+                operation: {
+                  type: 'string',
+                  description: 'Operation to perform',
+                  enum: ['get', 'create', 'update', 'delete']
+                },
+                table: {
+                  type: 'string',
+                  description: 'Name of the ServiceNow table'
+                },
+                sys_id: {
+                  type: 'string',
+                  description: 'The sys_id of the record (required for get, update and delete)'
+                },
+                data: {
+                  type: 'object',
+                  description: 'Field values (required for create and update)',
+                  additionalProperties: true
+                },
+                fields: {
+                  type: 'string',
+                  description: 'Comma-separated list of fields to return (optional)'
+                }
+              },
+              required: ['operation', 'table']
+            }
+          }
+        },
+        required: ['operations']
+      }
+    }
+  ];
+}
+
+/**
+ * Batch tool handlers by tool name
+ * @type {Object<string, function(ServiceNowClient, Object): Promise<Object>>}
+ */
+export const batchToolHandlers = {
+  servicenow_batch: handleBatch
+};
+
+async function handleBatch(serviceNowClient, args) {
+  try {
+    const { operations = [] } = args;
+
+    if (!operations.length || operations.length > MAX_BATCH_OPERATIONS) {
+      throw new Error(`operations must contain between 1 and ${MAX_BATCH_OPERATIONS} items`);
+    }
+
+    const problems = operations
+      .map((op, index) => [index, validateOperation(op, serviceNowClient.env)])
+      .filter(([, problem]) => problem)
+      .map(([index, problem]) => `#${index + 1}: ${problem}`);
+    if (problems.length) {
+      return toolError(`Batch not sent, invalid operations:\n${problems.join('\n')}`);
+    }
+
+    // Read before writing, so the audit log records what the batch overwrote
+    const priorValues = await Promise.all(operations.map((op) => {
+      if (op.operation === 'update' || op.operation === 'delete') {
+        return readPriorValues(serviceNowClient, op.table, op.sys_id, op.operation === 'update' ? Object.keys(op.data) : null);
+      }
+      return null;
+    }));
+
+    const { results, unserviced } = await serviceNowClient.executeBatch(operations.map(toBatchRequest));
+    const resultsById = new Map(results.map((result) => [result.id, result]));
+
+    const items = operations.map((op, index) => {
+      const result = resultsById.get(String(index + 1));
+      const outcome = !result ? 'not_serviced' : result.status >= 200 && result.status < 300 ? 'success' : 'error';
+      return {
+        id: index + 1,
+        operation: op.operation,
+        table: op.table,
+        sys_id: op.sys_id || result?.body?.result?.sys_id || null,
+        status: result?.status ?? null,
+        outcome,
+        ...(outcome === 'success' && op.operation !== 'delete' && { record: result.body?.result }),
+        ...(outcome === 'error' && { error: describeResult(op, result, false) })
+      };
+    });
+    const succeeded = items.filter((item) => item.outcome === 'success').length;
+    const failed = items.length - succeeded;
+
+    const lines = operations.map((op, index) => {
+      const { id, status, outcome } = items[index];
+      const target = op.sys_id ? `${op.table}/${op.sys_id}` : op.table;
+      if (outcome === 'not_serviced') {
+        return `${id}. [not serviced] ${op.operation} ${target}`;
+      }
+      return `${id}. [${status}] ${op.operation} ${target} - ${describeResult(op, resultsById.get(String(id)), outcome === 'success')}`;
+    });
+
+    await Promise.all(operations.map((op, index) => {
+      if (op.operation === 'get') {
+        return null;
+      }
+      const { sys_id, outcome, status } = items[index];
+      return writeAuditEntry({
+        tool: 'servicenow_batch',
+        instance: serviceNowClient.instanceUrl,
+        profile: serviceNowClient.profile,
+        operation: op.operation,
+        table: op.table,
+        sys_id,
+        fields: op.data,
+        prior_values: priorValues[index],
+        outcome,
+        status
+      }, serviceNowClient.env);
+    }));
+
+    let text = `Batch completed: ${succeeded} succeeded, ${failed} failed`;
+    if (unserviced.length) {
+      text += ` (${unserviced.length} not serviced by ServiceNow)`;
+    }
+    text += `:\n\n${lines.join('\n')}`;
+
+    const data = { succeeded, failed, unserviced: unserviced.length, results: items };
+    return failed > 0 && succeeded === 0 ? toolError(text, data) : toolResult(text, data);
+  } catch (error) {
+    return toolError(`Error executing batch: ${error.message}`);
+  }
+}
+
+function validateOperation(op, env) {
+  if (!op || !op.table) {
+    return 'table is required';
+  }
+  if (!['get', 'create', 'update', 'delete'].includes(op.operation)) {
+    return `unknown operation "${op.operation}"`;
+  }
+  if (op.operation !== 'create' && !op.sys_id) {
+    return `sys_id is required for ${op.operation}`;
+  }
+  if ((op.operation === 'create' || op.operation === 'update') && (!op.data || typeof op.data !== 'object')) {
+    return `data is required for ${op.operation}`;
+  }
+  if (op.operation === 'delete') {
+    const rule = findMatchingPattern(op.table, getProtectedTables(env));
+    if (rule) {
+      return `table "${op.table}" matches the protected table rule "${rule}" (SERVICENOW_PROTECTED_TABLES)`;
+    }
+  }
+  if (op.operation === 'create' || op.operation === 'update') {
+    return checkWritePolicy(op.table, Object.keys(op.data), env);
+  }
+  return null;
+}
+
+function toBatchRequest(op, index) {
+  const base = `/api/now/table/${op.table}`;
+  const query = op.fields ? `?sysparm_fields=${encodeURIComponent(op.fields)}` : '';
+  const request = { id: String(index + 1) };
+
+  switch (op.operation) {
+    case 'get':
+      return { ...request, method: 'GET', url: `${base}/${op.sys_id}${query}` };
+    case 'create':
+      return { ...request, method: 'POST', url: `${base}${query}`, body: op.data };
+    case 'update':
+      return { ...request, method: 'PATCH', url: `${base}/${op.sys_id}${query}`, body: op.data };
+    case 'delete':
+      return { ...request, method: 'DELETE', url: `${base}/${op.sys_id}` };
+    default:
+      throw new Error(`Unknown batch operation: ${op.operation}`);
+  }
+}
+
+function describeResult(op, result, ok) {
+  const record = result.body?.result;
+  if (!ok) {
+    return result.body?.error?.message || result.body?.error?.detail || result.statusText || 'failed';
+  }
+  if (op.operation === 'delete') {
+    return 'deleted';
+  }
+  if (op.operation === 'get') {
+    return JSON.stringify(record);
+  }
+  const label = record?.number || record?.name;
+  return `${op.operation === 'create' ? 'created' : 'updated'} sys_id ${record?.sys_id}${label ? ` (${label})` : ''}`;
+}
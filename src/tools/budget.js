@@ -0,0 +1,185 @@
+// Response size budget: long field values are clipped, record lists are cut to
+// fit and the server clips whatever text or data is still too long
+
+const DEFAULT_MAX_RESPONSE_CHARS = 50000;
+const DEFAULT_MAX_FIELD_CHARS = 1000;
+// Room left for the headline and the continuation note around a record list
+const RESERVED_CHARS = 500;
+
+// max_chars argument, overriding SERVICENOW_MAX_RESPONSE_CHARS for one call
+export const MAX_CHARS_PROPERTY = {
+  type: 'number',
+  description: `Maximum characters in the response (default: ${DEFAULT_MAX_RESPONSE_CHARS} or SERVICENOW_MAX_RESPONSE_CHARS). Records that do not fit are left for the next page and longer text is clipped`,
+  minimum: 1000,
+  maximum: 1000000
+};
+
+function parseLimitEnv(env, name, fallback) {
+  const value = parseInt(env[name], 10);
+  return value > 0 ? value : fallback;
+}
+
+/**
+ * The budget for one tool call. List fields are additionally clipped to
+ * SERVICENOW_MAX_FIELD_CHARS so a single long description cannot crowd out the page.
+ * @param {Object} args - Tool arguments; max_chars overrides SERVICENOW_MAX_RESPONSE_CHARS
+ * @param {Object} env - Settings of the connection profile
+ * @returns {{maxChars: number, maxFieldChars: number}}
+ */
+export function getResponseBudget(args, env) {
+  const maxChars = args.max_chars || parseLimitEnv(env, 'SERVICENOW_MAX_RESPONSE_CHARS', DEFAULT_MAX_RESPONSE_CHARS);
+  return {
+    maxChars,
+    maxFieldChars: Math.min(maxChars, parseLimitEnv(env, 'SERVICENOW_MAX_FIELD_CHARS', DEFAULT_MAX_FIELD_CHARS))
+  };
+}
+
+function clipString(text, limit) {
+  if (typeof text !== 'string' || text.length <= limit) {
+    return text;
+  }
+  return `${text.slice(0, limit)}… [clipped ${text.length - limit} of ${text.length} characters]`;
+}
+
+/**
+ * Clip every string value of a record longer than `limit`, including both
+ * halves of display_value=all values.
+ * @param {Object} record
+ * @param {number} limit
+ * @returns {Object} A copy; the record itself is left unchanged
+ */
+export function clipRecord(record, limit) {
+  return Object.fromEntries(Object.entries(record).map(([field, value]) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      return [field, Object.fromEntries(Object.entries(value).map(([key, part]) => [key, clipString(part, limit)]))];
+    }
+    return [field, clipString(value, limit)];
+  }));
+}
+
+// Characters a run of records takes in the response: its text and, as
+// structuredContent, its JSON
+function measure(records, text) {
+  return text.length + JSON.stringify(records).length;
+}
+
+/**
+ * The longest leading run of records whose rendering and data together fit in
+ * `maxChars`; at least one record is kept so a page always makes progress.
+ * @param {Object[]} records
+ * @param {function(Object[]): string} render - Renders a run of records
+ * @param {number} maxChars
+ * @returns {{records: Object[], omitted: number, text: string}}
+ */
+export function fitRecords(records, render, maxChars) {
+  const limit = maxChars - RESERVED_CHARS;
+  let text = render(records);
+  if (measure(records, text) <= limit || records.length <= 1) {
+    return { records, omitted: 0, text };
+  }
+
+  // Binary search: `low` records are known to fit, `high` known not to
+  let low = 1;
+  let high = records.length;
+  text = render(records.slice(0, 1));
+  while (high - low > 1) {
+    const middle = Math.floor((low + high) / 2);
+    const candidate = render(records.slice(0, middle));
+    if (measure(records.slice(0, middle), candidate) <= limit) {
+      low = middle;
+      text = candidate;
+    } else {
+      high = middle;
+    }
+  }
+  return { records: records.slice(0, low), omitted: records.length - low, text };
+}
+
+/**
+ * Clip the fields of a page of records and keep as many records as fit the
+ * budget of the call.
+ * @param {Object[]} records - Records as returned by the Table API
+ * @param {Object} args - Tool arguments, for max_chars
+ * @param {Object} env - Settings of the connection profile
+ * @param {function(Object[]): string} render - Renders a run of records
+ * @returns {{records: Object[], omitted: number, text: string}} The records kept, clipped
+ */
+export function fitRecordPage(records, args, env, render) {
+  const { maxChars, maxFieldChars } = getResponseBudget(args, env);
+  return fitRecords(records.map((record) => clipRecord(record, maxFieldChars)), render, maxChars);
+}
+
+/**
+ * Whether the records, with their fields clipped, already take more than the
+ * whole budget as data alone, so fetching more records cannot add to the page.
+ * @param {Object[]} records
+ * @param {Object} args - Tool arguments, for max_chars
+ * @param {Object} env - Settings of the connection profile
+ * @returns {boolean}
+ */
+export function exceedsBudget(records, args, env) {
+  const { maxChars, maxFieldChars } = getResponseBudget(args, env);
+  return JSON.stringify(records.map((record) => clipRecord(record, maxFieldChars))).length > maxChars;
+}
+
+/**
+ * Clip the fields of a single record to the budget of the call.
+ * @param {Object} record
+ * @param {Object} args - Tool arguments, for max_chars
+ * @param {Object} env - Settings of the connection profile
+ * @returns {Object}
+ */
+export function fitRecord(record, args, env) {
+  return clipRecord(record, getResponseBudget(args, env).maxChars);
+}
+
+// Strings clipped to `limit` characters and arrays cut to `limit` items, at any depth
+function clipValue(value, limit) {
+  if (typeof value === 'string') {
+    return clipString(value, limit);
+  }
+  if (Array.isArray(value)) {
+    return value.slice(0, limit).map((item) => clipValue(item, limit));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clipValue(item, limit)]));
+  }
+  return value;
+}
+
+// Shrink the data until its JSON fits in `maxChars`, marking it as clipped
+function clipData(data, maxChars) {
+  for (let limit = DEFAULT_MAX_FIELD_CHARS; limit >= 1; limit = Math.floor(limit / 2)) {
+    const clipped = { ...clipValue(data, limit), clipped: true };
+    if (JSON.stringify(clipped).length <= maxChars) {
+      return clipped;
+    }
+  }
+  return { ...(data.error && { error: clipString(data.error, maxChars / 2) }), clipped: true };
+}
+
+/**
+ * Fit a tool result in `maxChars`, counting both the text and the JSON of the
+ * data; the server's last line of defence for results that no handler fitted.
+ * Data longer than half the budget is shrunk first, then the text gets the rest.
+ * @param {{summary: string, data: Object, isError?: boolean}} result
+ * @param {number} maxChars
+ * @returns {Object} The result, clipped if it was too long
+ */
+export function clipResult(result, maxChars) {
+  const dataLength = JSON.stringify(result.data).length;
+  if (result.summary.length + dataLength <= maxChars) {
+    return result;
+  }
+  const data = dataLength > maxChars / 2 ? clipData(result.data, Math.floor(maxChars / 2)) : result.data;
+  const textLimit = maxChars - JSON.stringify(data).length - RESERVED_CHARS;
+  const length = result.summary.length;
+  if (length <= textLimit) {
+    return { ...result, data };
+  }
+  return {
+    ...result,
+    data,
+    summary: `${result.summary.slice(0, textLimit)}\n\n[Response clipped at ${textLimit} of ${length} characters. Narrow the request, page with offset and limit, or raise max_chars.]`
+  };
+}
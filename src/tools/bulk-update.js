@@ -0,0 +1,441 @@
+// Bulk update tool handler - previews, applies and rolls back updates by encoded query
+
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { randomBytes } from 'crypto';
+import { homedir } from 'os';
+import { join } from 'path';
+import { checkWritePolicy } from './table-rules.js';
+import { ToolPolicy } from '../tool-policy.js';
+import { toolError, toolResult } from './results.js';
+import { writeAuditEntry } from '../audit-log.js';
+
+const DEFAULT_MAX_RECORDS = 200;
+const MAX_RECORDS_LIMIT = 1000;
+const DEFAULT_CHUNK_SIZE = 50;
+// Lines shown in previews and results before the rest is summarised
+const MAX_LISTED_RECORDS = 50;
+
+export function registerBulkUpdateTools() {
+  return [
+    {
+      name: 'servicenow_bulk_update',
+      description: 'Update every record matching an encoded query. The first call (without operation_id) is a dry run that lists the affected records with before/after values and returns an operation_id. Call again with that operation_id and confirm=true to apply the update in chunks. Previous values are stored so servicenow_bulk_update_rollback can restore them (journal fields such as work_notes cannot be restored).',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          table: {
+            type: 'string',
+            description: 'Name of the ServiceNow table (dry run only)'
+          },
+          query: {
+            type: 'string',
+            description: 'Encoded query selecting the records to update, e.g. "active=true^priority=1" (dry run only)'
+          },
+          data: {
+            type: 'object',
+            description: 'Field values to set on every matching record (dry run only)',
+            additionalProperties: true
+          },
+          max_records: {
+            type: 'number',
+            description: `Refuse the update if more records match (default: ${DEFAULT_MAX_RECORDS})`,
+            minimum: 1,
+            maximum: MAX_RECORDS_LIMIT
+          },
+          operation_id: {
+            type: 'string',
+            description: 'operation_id returned by the dry run; applies exactly the previewed records'
+          },
+          confirm: {
+            type: 'boolean',
+            description: 'Must be true together with operation_id to apply the update'
+          },
+          chunk_size: {
+            type: 'number',
+            description: `Records per Batch API request when applying (default: ${DEFAULT_CHUNK_SIZE})`,
+            minimum: 1,
+            maximum: 100
+          }
+        }
+      }
+    },
+    {
+      name: 'servicenow_bulk_update_rollback',
+      description: 'Restore the previous field values of a bulk update applied with servicenow_bulk_update',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          operation_id: {
+            type: 'string',
+            description: 'operation_id of the applied bulk update'
+          },
+          chunk_size: {
+            type: 'number',
+            description: `Records per Batch API request (default: ${DEFAULT_CHUNK_SIZE})`,
+            minimum: 1,
+            maximum: 100
+          }
+        },
+        required: ['operation_id']
+      }
+    }
+  ];
+}
+
+/**
+ * Bulk update tool handlers by tool name
+ * @type {Object<string, function(ServiceNowClient, Object): Promise<Object>>}
+ */
+export const bulkUpdateToolHandlers = {
+  servicenow_bulk_update: handleBulkUpdate,
+  servicenow_bulk_update_rollback: handleRollbackBulkUpdate
+};
+
+async function handleBulkUpdate(serviceNowClient, args) {
+  return args.operation_id
+    ? await handleApplyBulkUpdate(serviceNowClient, args)
+    : await handlePreviewBulkUpdate(serviceNowClient, args);
+}
+
+async function handlePreviewBulkUpdate(serviceNowClient, args) {
+  try {
+    const { table, query, data, max_records = DEFAULT_MAX_RECORDS } = args;
+
+    if (!table || !query || !data || !Object.keys(data).length) {
+      throw new Error('table, query and a non-empty data object are required for the dry run');
+    }
+
+    const maxRecords = Math.min(max_records, MAX_RECORDS_LIMIT);
+    const updateFields = Object.keys(data);
+    const refusal = checkWritePolicy(table, updateFields, serviceNowClient.env);
+    if (refusal) {
+      throw new Error(`write refused: ${refusal}`);
+    }
+    const fields = ['sys_id', 'number', 'name', ...updateFields.filter((f) => !['sys_id', 'number', 'name'].includes(f))];
+
+    // Fetch one record past the limit to detect overflow
+    const result = await serviceNowClient.queryTable(table, query, fields, maxRecords + 1, 0, null, { excludeReferenceLink: true, cache: false });
+    const matches = result.result;
+    const total = result.totalCount ?? matches.length;
+
+    if (matches.length > maxRecords) {
+      return toolError(`Bulk update refused: ${total} records in "${table}" match "${query}", more than max_records (${maxRecords}). Narrow the query or raise max_records (up to ${MAX_RECORDS_LIMIT}).`);
+    }
+
+    const records = matches.map((record) => ({
+      sys_id: record.sys_id,
+      label: record.number || record.name || '',
+      before: Object.fromEntries(updateFields.map((field) => [field, record[field] ?? ''])),
+    }));
+    const changing = records.filter((record) => updateFields.some((field) => String(record.before[field]) !== String(data[field])));
+
+    const operation = {
+      operation_id: `bulk_${Date.now().toString(36)}_${randomBytes(4).toString('hex')}`,
+      status: 'preview',
+      created_at: new Date().toISOString(),
+      instance: serviceNowClient.instanceUrl,
+      table,
+      query,
+      data,
+      records: changing
+    };
+    await saveOperation(serviceNowClient, operation);
+
+    let text = `DRY RUN - nothing has been changed.\n\n`;
+    text += `${matches.length} record(s) in "${table}" match "${query}"; ${changing.length} would change`;
+    if (matches.length !== changing.length) {
+      text += ` (skipping ${matches.length - changing.length} that already have the target values)`;
+    }
+    text += '.\n\n';
+
+    changing.slice(0, MAX_LISTED_RECORDS).forEach((record, index) => {
+      const diff = updateFields
+        .filter((field) => String(record.before[field]) !== String(data[field]))
+        .map((field) => `${field}: "${record.before[field]}" -> "${data[field]}"`)
+        .join(', ');
+      text += `${index + 1}. ${record.label ? `${record.label} ` : ''}(${record.sys_id}) ${diff}\n`;
+    });
+    if (changing.length > MAX_LISTED_RECORDS) {
+      text += `... and ${changing.length - MAX_LISTED_RECORDS} more\n`;
+    }
+
+    text += changing.length
+      ? `\nTo apply, call servicenow_bulk_update with operation_id: "${operation.operation_id}" and confirm: true.`
+      : '\nNothing to update.';
+
+    return toolResult(text, {
+      dry_run: true,
+      operation_id: operation.operation_id,
+      table,
+      query,
+      data,
+      matched: matches.length,
+      records: changing
+    });
+  } catch (error) {
+    return toolError(`Error previewing bulk update: ${error.message}`);
+  }
+}
+
+async function handleApplyBulkUpdate(serviceNowClient, args) {
+  try {
+    const { operation_id, confirm = false, chunk_size = DEFAULT_CHUNK_SIZE } = args;
+    const operation = await loadOperation(serviceNowClient, operation_id);
+
+    if (operation.status !== 'preview') {
+      throw new Error(`operation ${operation_id} has already been ${operation.status.replace('_', ' ')}`);
+    }
+    // The policies may have changed since the preview
+    checkOperationAllowed(serviceNowClient, operation);
+    if (confirm !== true) {
+      return toolResult(`Bulk update ${operation_id} NOT applied: confirm must be true. It would update ${operation.records.length} record(s) in "${operation.table}".`, {
+        operation_id,
+        applied: false,
+        table: operation.table,
+        records: operation.records.length
+      });
+    }
+
+    // Store the values the update overwrites, not those seen by the preview
+    const updateFields = Object.keys(operation.data);
+    const current = await readCurrentValues(serviceNowClient, operation.table, operation.records, updateFields, chunk_size);
+    const existing = operation.records.filter((record) => current.has(record.sys_id));
+    existing.forEach((record) => {
+      record.before = current.get(record.sys_id);
+    });
+
+    const outcomes = await patchInChunks(serviceNowClient, operation.table, existing.map((record) => ({
+      sys_id: record.sys_id,
+      data: operation.data
+    })), chunk_size);
+    operation.records
+      .filter((record) => !current.has(record.sys_id))
+      .forEach((record) => outcomes.set(record.sys_id, { ok: false, status: null, error: 'record no longer exists' }));
+
+    operation.records.forEach((record) => {
+      record.applied = outcomes.get(record.sys_id)?.ok === true;
+    });
+    const applied = operation.records.filter((record) => record.applied).length;
+    operation.status = 'applied';
+    operation.applied_at = new Date().toISOString();
+    await saveOperation(serviceNowClient, operation);
+
+    await Promise.all(existing.map((record) => writeAuditEntry({
+      tool: 'servicenow_bulk_update',
+      instance: serviceNowClient.instanceUrl,
+      profile: serviceNowClient.profile,
+      operation_id,
+      table: operation.table,
+      sys_id: record.sys_id,
+      fields: operation.data,
+      prior_values: record.before,
+      outcome: record.applied ? 'success' : 'error',
+      ...(outcomes.get(record.sys_id)?.error && { error: outcomes.get(record.sys_id).error })
+    }, serviceNowClient.env)));
+
+    const text = `${formatOutcomes(`Bulk update ${operation_id}`, operation.records, outcomes)}\n\nTo undo, call servicenow_bulk_update_rollback with operation_id: "${operation_id}".`;
+    const data = { operation_id, table: operation.table, updated: applied, results: getOutcomeData(operation.records, outcomes) };
+    return applied === 0 && operation.records.length > 0 ? toolError(text, data) : toolResult(text, data);
+  } catch (error) {
+    return toolError(`Error applying bulk update: ${error.message}`);
+  }
+}
+
+async function handleRollbackBulkUpdate(serviceNowClient, args) {
+  try {
+    const { operation_id, chunk_size = DEFAULT_CHUNK_SIZE } = args;
+    const operation = await loadOperation(serviceNowClient, operation_id);
+
+    if (operation.status !== 'applied') {
+      throw new Error(`operation ${operation_id} cannot be rolled back (status: ${operation.status})`);
+    }
+    checkOperationAllowed(serviceNowClient, operation);
+
+    // Records changed again since the update keep their newer values
+    const updateFields = Object.keys(operation.data);
+    const applied = operation.records.filter((record) => record.applied);
+    const current = await readCurrentValues(serviceNowClient, operation.table, applied, updateFields, chunk_size);
+    const skipped = [];
+    const records = applied.filter((record) => {
+      const values = current.get(record.sys_id);
+      const changed = values ? updateFields.filter((field) => String(values[field]) !== String(operation.data[field])) : [];
+      if (values && !changed.length) {
+        return true;
+      }
+      skipped.push({
+        sys_id: record.sys_id,
+        label: record.label,
+        reason: values ? `changed since the update: ${changed.join(', ')}` : 'record no longer exists'
+      });
+      return false;
+    });
+
+    const outcomes = await patchInChunks(serviceNowClient, operation.table, records.map((record) => ({
+      sys_id: record.sys_id,
+      data: record.before
+    })), chunk_size);
+
+    operation.status = 'rolled_back';
+    operation.rolled_back_at = new Date().toISOString();
+    operation.rollback_failures = records
+      .filter((record) => !outcomes.get(record.sys_id)?.ok)
+      .map((record) => record.sys_id);
+    operation.rollback_skipped = skipped.map((record) => record.sys_id);
+    await saveOperation(serviceNowClient, operation);
+
+    await Promise.all(records.map((record) => writeAuditEntry({
+      tool: 'servicenow_bulk_update_rollback',
+      instance: serviceNowClient.instanceUrl,
+      profile: serviceNowClient.profile,
+      operation_id,
+      table: operation.table,
+      sys_id: record.sys_id,
+      fields: record.before,
+      prior_values: operation.data,
+      outcome: outcomes.get(record.sys_id)?.ok ? 'success' : 'error'
+    }, serviceNowClient.env)));
+
+    let text = formatOutcomes(`Rollback of ${operation_id}`, records, outcomes);
+    if (skipped.length) {
+      text += `\n\nSkipped ${skipped.length} record(s) that no longer hold the updated values:\n`;
+      skipped.slice(0, MAX_LISTED_RECORDS).forEach((record, index) => {
+        text += `${index + 1}. ${record.label ? `${record.label} ` : ''}(${record.sys_id}) ${record.reason}\n`;
+      });
+      if (skipped.length > MAX_LISTED_RECORDS) {
+        text += `... and ${skipped.length - MAX_LISTED_RECORDS} more\n`;
+      }
+    }
+    const data = {
+      operation_id,
+      table: operation.table,
+      restored: records.length - operation.rollback_failures.length,
+      results: getOutcomeData(records, outcomes),
+      skipped
+    };
+    return operation.rollback_failures.length === records.length && records.length > 0
+      ? toolError(text, data)
+      : toolResult(text, data);
+  } catch (error) {
+    return toolError(`Error rolling back bulk update: ${error.message}`);
+  }
+}
+
+// Apply and rollback only name an operation, so the server could not check its table
+function checkOperationAllowed(serviceNowClient, operation) {
+  const refusal = ToolPolicy.fromEnv(serviceNowClient.env).checkTables([operation.table])
+    || checkWritePolicy(operation.table, Object.keys(operation.data), serviceNowClient.env);
+  if (refusal) {
+    throw new Error(`write refused: ${refusal}`);
+  }
+}
+
+/**
+ * Read the current values of `fields` for the given records, chunk by chunk.
+ * @returns {Promise<Map<string, Object>>} Values per sys_id; deleted records are missing
+ */
+async function readCurrentValues(serviceNowClient, table, records, fields, chunkSize) {
+  const values = new Map();
+  for (let start = 0; start < records.length; start += chunkSize) {
+    const sysIds = records.slice(start, start + chunkSize).map((record) => record.sys_id);
+    const result = await serviceNowClient.queryTable(table, `sys_idIN${sysIds.join(',')}`, ['sys_id', ...fields], sysIds.length, 0, null, { excludeReferenceLink: true, cache: false });
+    result.result.forEach((record) => {
+      values.set(record.sys_id, Object.fromEntries(fields.map((field) => [field, record[field] ?? ''])));
+    });
+  }
+  return values;
+}
+
+/**
+ * PATCH records through the Batch API, chunk by chunk.
+ * @returns {Promise<Map<string, {ok: boolean, status: number|null, error?: string}>>} Outcome per sys_id
+ */
+async function patchInChunks(serviceNowClient, table, updates, chunkSize) {
+  const outcomes = new Map();
+
+  for (let start = 0; start < updates.length; start += chunkSize) {
+    const chunk = updates.slice(start, start + chunkSize);
+    try {
+      const { results } = await serviceNowClient.executeBatch(chunk.map((update) => ({
+        id: update.sys_id,
+        method: 'PATCH',
+        url: `/api/now/table/${table}/${update.sys_id}?sysparm_fields=sys_id`,
+        body: update.data
+      })));
+      const byId = new Map(results.map((result) => [result.id, result]));
+      chunk.forEach((update) => {
+        const result = byId.get(update.sys_id);
+        const ok = Boolean(result) && result.status >= 200 && result.status < 300;
+        outcomes.set(update.sys_id, {
+          ok,
+          status: result?.status ?? null,
+          ...(!ok && { error: result ? result.body?.error?.message || result.statusText : 'not serviced' })
+        });
+      });
+    } catch (error) {
+      // Keep going with the next chunk; the failed records are reported individually
+      chunk.forEach((update) => outcomes.set(update.sys_id, { ok: false, status: null, error: error.message }));
+    }
+  }
+
+  return outcomes;
+}
+
+function formatOutcomes(title, records, outcomes) {
+  const failures = records.filter((record) => !outcomes.get(record.sys_id)?.ok);
+  let text = `${title}: ${records.length - failures.length} of ${records.length} record(s) updated`;
+  if (failures.length) {
+    text += `, ${failures.length} failed:\n\n`;
+    failures.slice(0, MAX_LISTED_RECORDS).forEach((record, index) => {
+      const outcome = outcomes.get(record.sys_id);
+      text += `${index + 1}. ${record.label ? `${record.label} ` : ''}(${record.sys_id}) ${outcome?.status ? `[${outcome.status}] ` : ''}${outcome?.error || 'failed'}\n`;
+    });
+    if (failures.length > MAX_LISTED_RECORDS) {
+      text += `... and ${failures.length - MAX_LISTED_RECORDS} more\n`;
+    }
+  } else {
+    text += '.';
+  }
+  return text;
+}
+
+function getOutcomeData(records, outcomes) {
+  return records.map((record) => {
+    const outcome = outcomes.get(record.sys_id);
+    return {
+      sys_id: record.sys_id,
+      outcome: outcome?.ok ? 'success' : 'error',
+      status: outcome?.status ?? null,
+      ...(outcome?.error && { error: outcome.error })
+    };
+  });
+}
+
+function getOperationsDir(env) {
+  return env.SERVICENOW_BULK_UPDATE_DIR || join(homedir(), '.servicenow-mcp', 'bulk-updates');
+}
+
+async function saveOperation(serviceNowClient, operation) {
+  const dir = getOperationsDir(serviceNowClient.env);
+  await mkdir(dir, { recursive: true });
+  await writeFile(join(dir, `${operation.operation_id}.json`), JSON.stringify(operation, null, 2), 'utf8');
+}
+
+async function loadOperation(serviceNowClient, operationId) {
+  if (!/^bulk_[a-z0-9]+_[a-f0-9]+$/.test(operationId)) {
+    throw new Error(`invalid operation_id "${operationId}"`);
+  }
+  let operation;
+  try {
+    operation = JSON.parse(await readFile(join(getOperationsDir(serviceNowClient.env), `${operationId}.json`), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`no bulk update found with operation_id "${operationId}"`);
+    }
+    throw error;
+  }
+  // Never replay a preview from one instance against another
+  if (operation.instance && operation.instance !== serviceNowClient.instanceUrl) {
+    throw new Error(`operation ${operationId} was previewed on ${operation.instance}; call it with the instance profile for that URL`);
+  }
+  return operation;
+}
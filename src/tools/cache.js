@@ -0,0 +1,79 @@
+// Cache tool handler - inspects and flushes the client's response cache
+
+import { toolError, toolResult } from './results.js';
+
+export function registerCacheTools() {
+  return [
+    {
+      name: 'servicenow_cache',
+      description: 'Inspect or flush the response cache used for rarely changing tables such as sys_dictionary and sys_user. Flush it when schema or user data was changed outside this server.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          action: {
+            type: 'string',
+            description: 'stats (default) shows cached tables, entries and hit rate; flush drops entries',
+            enum: ['stats', 'flush'],
+            default: 'stats'
+          },
+          table: {
+            type: 'string',
+            description: 'Only flush entries of this table (flush only)'
+          }
+        }
+      }
+    }
+  ];
+}
+
+/**
+ * Cache tool handlers by tool name
+ * @type {Object<string, function(ServiceNowClient, Object): Promise<Object>>}
+ */
+export const cacheToolHandlers = {
+  servicenow_cache: handleCache
+};
+
+async function handleCache(serviceNowClient, args) {
+  try {
+    const { action = 'stats', table } = args;
+    const cache = serviceNowClient.cache;
+
+    if (action === 'flush') {
+      const removed = cache.flush(table);
+      await cache.save();
+      return toolResult(`Flushed ${removed} cached response(s)${table ? ` for ${table}` : ''}.`, { action, table: table || null, removed });
+    }
+    if (action !== 'stats') {
+      throw new Error(`unknown action "${action}" (expected stats or flush)`);
+    }
+
+    const stats = cache.stats();
+    const lookups = stats.hits + stats.misses;
+    let text = stats.tables.length && stats.ttl > 0
+      ? `Response cache: tables ${stats.tables.join(', ')}; TTL ${Math.round(stats.ttl / 1000)}s`
+      : 'Response cache: disabled';
+    text += stats.persistPath ? `; persisted to ${stats.persistPath}\n` : '; in memory only\n';
+    text += `Hits: ${stats.hits}, misses: ${stats.misses}${lookups ? ` (${Math.round((stats.hits / lookups) * 100)}% hit rate)` : ''}\n\n`;
+
+    if (stats.entries.length) {
+      text += stats.entries
+        .map((entry) => `- ${entry.table}: ${entry.count} entr${entry.count === 1 ? 'y' : 'ies'}, next expiry in ${Math.ceil(entry.expiresIn / 1000)}s`)
+        .join('\n');
+    } else {
+      text += 'No cached entries.';
+    }
+
+    return toolResult(text, {
+      action,
+      tables: stats.tables,
+      ttl_seconds: Math.round(stats.ttl / 1000),
+      persist_path: stats.persistPath || null,
+      hits: stats.hits,
+      misses: stats.misses,
+      entries: stats.entries.map((entry) => ({ table: entry.table, count: entry.count, expires_in_seconds: Math.ceil(entry.expiresIn / 1000) }))
+    });
+  } catch (error) {
+    return toolError(`Error accessing cache: ${error.message}`);
+  }
+}
@@ -0,0 +1,204 @@
+// Dry runs for the create and update tools: validate a write against the
+// table schema and show the changes without sending it to ServiceNow
+
+import { toolError, toolResult } from './results.js';
+
+// Input schema property shared by the create and update tools
+export const DRY_RUN_PROPERTY = {
+  dry_run: {
+    type: 'boolean',
+    description: 'Validate the fields against the table schema and show the changes without writing anything (default: false, or true when SERVICENOW_DRY_RUN=true)'
+  }
+};
+
+// Parent tables are looked up to this depth, e.g. incident -> task
+const MAX_TABLE_DEPTH = 10;
+const SYS_ID_PATTERN = /^[0-9a-f]{32}$/;
+
+// Formats ServiceNow accepts for typed fields
+const TYPE_FORMATS = {
+  integer: [/^-?\d+$/, 'a whole number'],
+  longint: [/^-?\d+$/, 'a whole number'],
+  decimal: [/^-?\d+(\.\d+)?$/, 'a number'],
+  float: [/^-?\d+(\.\d+)?$/, 'a number'],
+  currency: [/^-?\d+(\.\d+)?$/, 'a number'],
+  boolean: [/^(true|false)$/, 'true or false'],
+  glide_date: [/^\d{4}-\d{2}-\d{2}$/, 'a date (YYYY-MM-DD)'],
+  glide_date_time: [/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/, 'a date and time (YYYY-MM-DD HH:MM:SS)']
+};
+
+/**
+ * Whether a write should only be previewed. SERVICENOW_DRY_RUN=true turns
+ * every write of these tools into a dry run.
+ * @param {boolean} [dryRun] - The tool's dry_run argument
+ * @param {Object} env - Settings of the connection profile
+ * @returns {boolean}
+ */
+export function isDryRun(dryRun, env) {
+  return dryRun === true || /^true$/i.test(env.SERVICENOW_DRY_RUN || '');
+}
+
+// Tables whose fields a record of `table` has, the table itself first
+async function getTableHierarchy(serviceNowClient, table) {
+  const tables = [table];
+  while (tables.length < MAX_TABLE_DEPTH) {
+    const current = tables[tables.length - 1];
+    const result = await serviceNowClient.queryTable('sys_db_object', `name=${current}`, 'name,super_class.name', 1);
+    const parent = result.result[0]?.['super_class.name'];
+    if (!parent || tables.includes(parent)) {
+      break;
+    }
+    tables.push(parent);
+  }
+  return tables;
+}
+
+/**
+ * Field definitions of a table including inherited ones.
+ * @returns {Promise<Map<string, Object>>} sys_dictionary entries by field name
+ */
+async function getFieldDefinitions(serviceNowClient, table) {
+  const tables = await getTableHierarchy(serviceNowClient, table);
+  const result = await serviceNowClient.queryTable(
+    'sys_dictionary',
+    `nameIN${tables.join(',')}^elementISNOTEMPTY`,
+    'name,element,column_label,internal_type,max_length,mandatory,read_only,active,default_value',
+    5000,
+    0,
+    'element',
+    { excludeReferenceLink: true }
+  );
+
+  // A table's own definition overrides the one it inherits
+  const definitions = new Map();
+  const depth = (entry) => tables.indexOf(entry.name);
+  result.result
+    .slice()
+    .sort((a, b) => depth(a) - depth(b))
+    .forEach((entry) => {
+      if (!definitions.has(entry.element)) {
+        definitions.set(entry.element, entry);
+      }
+    });
+  return definitions;
+}
+
+function checkField(name, value, definition, problems, warnings) {
+  if (!definition) {
+    problems.push(`${name}: no such field`);
+    return;
+  }
+  if (name.startsWith('sys_')) {
+    warnings.push(`${name}: system field, ServiceNow ignores or overwrites it`);
+    return;
+  }
+  if (definition.active === 'false') {
+    warnings.push(`${name}: field is inactive`);
+  }
+  if (definition.read_only === 'true') {
+    warnings.push(`${name}: field is read-only in the dictionary`);
+  }
+  if (value === null || value === undefined || value === '') {
+    return;
+  }
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  const type = definition.internal_type;
+  const format = TYPE_FORMATS[type];
+  if (format && !format[0].test(text)) {
+    problems.push(`${name}: "${text}" is not ${format[1]}`);
+  }
+  if (type === 'reference' && !SYS_ID_PATTERN.test(text)) {
+    warnings.push(`${name}: "${text}" is not a sys_id; ServiceNow will try to match it against the display value`);
+  }
+  const maxLength = parseInt(definition.max_length, 10);
+  if (!format && type !== 'reference' && maxLength > 0 && text.length > maxLength) {
+    problems.push(`${name}: ${text.length} characters exceeds the maximum length of ${maxLength}`);
+  }
+}
+
+function formatValue(value) {
+  if (value === undefined) {
+    return '(not set)';
+  }
+  return JSON.stringify(typeof value === 'object' && value !== null ? value : String(value ?? ''));
+}
+
+/**
+ * Validate a create or update and describe what it would change, without writing.
+ * @param {ServiceNowClient} serviceNowClient
+ * @param {Object} write
+ * @param {string} write.table
+ * @param {string} [write.sysId] - Record to update; omitted for a create
+ * @param {Object} write.data - Field values to write
+ * @param {Object} [write.options] - expectedUpdatedOn / expectedModCount of the update
+ * @returns {Promise<Object>} Tool result; an error when the write would fail
+ */
+export async function previewWrite(serviceNowClient, { table, sysId, data = {}, options = {} }) {
+  const problems = [];
+  const warnings = [];
+  const definitions = await getFieldDefinitions(serviceNowClient, table);
+
+  if (!definitions.size) {
+    problems.push(`no sys_dictionary entries found for table "${table}"; check the table name and read access to sys_dictionary`);
+  } else {
+    Object.entries(data).forEach(([name, value]) => checkField(name, value, definitions.get(name), problems, warnings));
+  }
+
+  let current = null;
+  if (sysId) {
+    const fields = [...new Set([...Object.keys(data), 'sys_updated_on', 'sys_mod_count'])];
+    try {
+      const record = await serviceNowClient.getRecord(table, sysId, fields, { cache: false, excludeReferenceLink: true });
+      current = record.result;
+    } catch (error) {
+      problems.push(`record ${sysId} cannot be read: ${error.message}`);
+    }
+  } else if (definitions.size) {
+    definitions.forEach((definition, name) => {
+      if (definition.mandatory === 'true' && !definition.default_value && !name.startsWith('sys_') && !(name in data)) {
+        warnings.push(`${name}: mandatory field is not set`);
+      }
+    });
+  }
+
+  if (current) {
+    if (options.expectedUpdatedOn && options.expectedUpdatedOn !== current.sys_updated_on) {
+      problems.push(`record changed since it was read: sys_updated_on ${options.expectedUpdatedOn} -> ${current.sys_updated_on}`);
+    }
+    if (options.expectedModCount !== undefined && options.expectedModCount !== null
+      && Number(options.expectedModCount) !== Number(current.sys_mod_count)) {
+      problems.push(`record changed since it was read: sys_mod_count ${options.expectedModCount} -> ${current.sys_mod_count}`);
+    }
+  }
+
+  const changes = Object.entries(data).map(([field, value]) => ({
+    field,
+    ...(current && { current: current[field] }),
+    proposed: value,
+    changed: !current || String(current[field] ?? '') !== String(value ?? '')
+  }));
+  const lines = changes.map((change) => {
+    if (!current) {
+      return `- ${change.field}: ${formatValue(change.proposed)}`;
+    }
+    return change.changed
+      ? `- ${change.field}: ${formatValue(change.current)} -> ${formatValue(change.proposed)}`
+      : `- ${change.field}: ${formatValue(change.proposed)} (unchanged)`;
+  });
+
+  let text = `Dry run: nothing was written to ServiceNow.\n\n${sysId ? `Update of ${table} record ${sysId}` : `New record in ${table}`}:\n`;
+  text += lines.length ? lines.join('\n') : '(no fields)';
+  if (problems.length) {
+    text += `\n\nThe write would fail or be refused:\n${problems.map((p) => `- ${p}`).join('\n')}`;
+  }
+  if (warnings.length) {
+    text += `\n\nWarnings:\n${warnings.map((w) => `- ${w}`).join('\n')}`;
+  }
+  if (!problems.length) {
+    text += `\n\nValidation passed. Repeat the call without dry_run to apply it${isDryRun(false, serviceNowClient.env) ? ' (SERVICENOW_DRY_RUN must be turned off first)' : ''}.`;
+  }
+
+  const result = { dry_run: true, table, sys_id: sysId || null, changes, problems, warnings };
+  return problems.length ? toolError(text, result) : toolResult(text, result);
+}
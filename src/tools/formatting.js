@@ -0,0 +1,53 @@
+// Shared helpers for read tools: display value arguments and field rendering
+
+// display_value argument, mapped onto sysparm_display_value by getReadOptions
+export const DISPLAY_VALUE_PROPERTY = {
+  type: 'string',
+  description: 'Return display values for reference and choice fields: "true" (display values only), "false" (raw values, default) or "all" (both)',
+  enum: ['true', 'false', 'all']
+};
+
+/**
+ * Map tool arguments to ServiceNowClient read options. Reference links are
+ * always dropped: they only repeat the sys_id as a REST URL.
+ * @param {Object} args - Tool arguments
+ * @returns {{displayValue: string|undefined, excludeReferenceLink: boolean}}
+ */
+export function getReadOptions(args) {
+  return {
+    displayValue: args.display_value,
+    excludeReferenceLink: true
+  };
+}
+
+/**
+ * Render a field value that may be a plain string, a reference object
+ * ({ value, link }) or a display_value=all object ({ display_value, value }).
+ * @param {*} value
+ * @returns {string}
+ */
+export function formatFieldValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value !== 'object') {
+    return String(value);
+  }
+  const { display_value: displayValue, value: rawValue } = value;
+  if (displayValue !== undefined && displayValue !== '' && rawValue && displayValue !== rawValue) {
+    return `${displayValue} (${rawValue})`;
+  }
+  return String(displayValue || rawValue || '');
+}
+
+/**
+ * Render every field of a record with formatFieldValue so list renderers can
+ * treat all display_value modes as plain strings.
+ * @param {Object} record
+ * @returns {Object}
+ */
+export function flattenRecord(record) {
+  return Object.fromEntries(
+    Object.entries(record).map(([field, value]) => [field, formatFieldValue(value)])
+  );
+}
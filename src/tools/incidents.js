@@ -1,3 +1,11 @@
+import { formatPageSummary, getPageData } from './pagination.js';
+import { DISPLAY_VALUE_PROPERTY, flattenRecord, getReadOptions } from './formatting.js';
+import { CONCURRENCY_PROPERTIES, splitUpdateArgs } from './write-options.js';
+import { DRY_RUN_PROPERTY, isDryRun, previewWrite } from './dry-run.js';
+import { FORMAT_PROPERTY, renderRecord, renderRecords } from './rendering.js';
+import { MAX_CHARS_PROPERTY, fitRecord, fitRecordPage } from './budget.js';
+import { toolError, toolResult } from './results.js';
+
 export function registerIncidentTools() {
   return [
     {
@@ -13,7 +21,10 @@ export function registerIncidentTools() {
           fields: {
             type: 'string',
             description: 'Comma-separated list of fields to retrieve (optional)'
-          }
+          },
+          display_value: DISPLAY_VALUE_PROPERTY,
+          format: FORMAT_PROPERTY,
+          max_chars: MAX_CHARS_PROPERTY
         },
         required: ['sys_id']
       }
@@ -66,7 +77,8 @@ export function registerIncidentTools() {
           assigned_to: {
             type: 'string',
             description: 'Sys_id of the assigned user'
-          }
+          },
+          ...DRY_RUN_PROPERTY
         },
         required: ['short_description']
       }
@@ -128,7 +140,9 @@ export function registerIncidentTools() {
           close_notes: {
             type: 'string',
             description: 'Close notes when resolving/closing the incident'
-          }
+          },
+          ...CONCURRENCY_PROPERTIES,
+          ...DRY_RUN_PROPERTY
         },
         required: ['sys_id']
       }
@@ -147,6 +161,9 @@ export function registerIncidentTools() {
             type: 'string',
             description: 'Comma-separated list of fields to retrieve'
           },
+          display_value: DISPLAY_VALUE_PROPERTY,
+          format: FORMAT_PROPERTY,
+          max_chars: MAX_CHARS_PROPERTY,
           limit: {
             type: 'number',
             description: 'Maximum number of records to return (default: 100)',
@@ -168,146 +185,92 @@ export function registerIncidentTools() {
   ];
 }
 
-export async function handleIncidentTools(serviceNowClient, toolName, args) {
-  switch (toolName) {
-    case 'servicenow_incident_get':
-      return await handleGetIncident(serviceNowClient, args);
-    case 'servicenow_incident_create':
-      return await handleCreateIncident(serviceNowClient, args);
-    case 'servicenow_incident_update':
-      return await handleUpdateIncident(serviceNowClient, args);
-    case 'servicenow_incident_list':
-      return await handleListIncidents(serviceNowClient, args);
-    default:
-      throw new Error(`Unknown incident tool: ${toolName}`);
-  }
-}
+/**
+ * Incident tool handlers by tool name
+ * @type {Object<string, function(ServiceNowClient, Object): Promise<Object>>}
+ */
+export const incidentToolHandlers = {
+  servicenow_incident_get: handleGetIncident,
+  servicenow_incident_create: handleCreateIncident,
+  servicenow_incident_update: handleUpdateIncident,
+  servicenow_incident_list: handleListIncidents
+};
 
 async function handleGetIncident(serviceNowClient, args) {
   try {
     const { sys_id, fields } = args;
-    const result = await serviceNowClient.getIncident(sys_id, fields);
+    const result = await serviceNowClient.getIncident(sys_id, fields, getReadOptions(args));
+    const record = fitRecord(result.result, args, serviceNowClient.env);
     
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Successfully retrieved incident ${sys_id}:\n\n${JSON.stringify(result.result, null, 2)}`
-        }
-      ]
-    };
+    return toolResult(`Successfully retrieved incident ${sys_id}:\n\n${renderRecord(record, args)}`, { record });
   } catch (error) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error retrieving incident: ${error.message}`
-        }
-      ],
-      isError: true
-    };
+    return toolError(`Error retrieving incident: ${error.message}`);
   }
 }
 
 async function handleCreateIncident(serviceNowClient, args) {
   try {
-    const result = await serviceNowClient.createIncident(args);
+    const { dry_run, ...incidentData } = args;
+    if (isDryRun(dry_run, serviceNowClient.env)) {
+      return await previewWrite(serviceNowClient, { table: 'incident', data: incidentData });
+    }
+    const result = await serviceNowClient.createIncident(incidentData);
     
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Successfully created incident ${result.result.number} (sys_id: ${result.result.sys_id}):\n\n${JSON.stringify(result.result, null, 2)}`
-        }
-      ]
-    };
+    return toolResult(`Successfully created incident ${result.result.number} (sys_id: ${result.result.sys_id}):\n\n${JSON.stringify(result.result, null, 2)}`, { record: result.result });
   } catch (error) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error creating incident: ${error.message}`
-        }
-      ],
-      isError: true
-    };
+    return toolError(`Error creating incident: ${error.message}`);
   }
 }
 
 async function handleUpdateIncident(serviceNowClient, args) {
   try {
-    const { sys_id, ...updateData } = args;
-    const result = await serviceNowClient.updateIncident(sys_id, updateData);
+    const { sys_id, dry_run, ...fields } = args;
+    const { data: updateData, options } = splitUpdateArgs(fields);
+    if (isDryRun(dry_run, serviceNowClient.env)) {
+      return await previewWrite(serviceNowClient, { table: 'incident', sysId: sys_id, data: updateData, options });
+    }
+    const result = await serviceNowClient.updateIncident(sys_id, updateData, options);
     
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Successfully updated incident ${result.result.number} (sys_id: ${sys_id}):\n\n${JSON.stringify(result.result, null, 2)}`
-        }
-      ]
-    };
+    return toolResult(`Successfully updated incident ${result.result.number} (sys_id: ${sys_id}):\n\n${JSON.stringify(result.result, null, 2)}`, { record: result.result });
   } catch (error) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error updating incident: ${error.message}`
-        }
-      ],
-      isError: true
-    };
+    return toolError(`Error updating incident: ${error.message}`);
   }
 }
 
 async function handleListIncidents(serviceNowClient, args) {
   try {
     const { query, fields, limit = 100, offset = 0, order_by } = args;
-    const result = await serviceNowClient.queryIncidents(query, fields, limit, offset, order_by);
+    const result = await serviceNowClient.queryIncidents(query, fields, limit, offset, order_by, getReadOptions(args));
     
-    const incidents = result.result;
-    const count = incidents.length;
+    const { records, omitted, text: recordsText } = fitRecordPage(result.result, args, serviceNowClient.env, (page) => (args.format ? renderRecords(page, args) : formatIncidents(page)));
+    const page = { count: records.length, offset, limit, totalCount: result.totalCount, omitted };
     
-    let text = `Found ${count} incident(s)`;
-    if (limit && count === limit) {
-      text += ` (showing first ${limit})`;
-    }
+    let text = formatPageSummary('incident(s)', page);
     text += ':\n\n';
+    text += records.length ? recordsText : 'No incidents found matching the criteria.';
     
-    if (count === 0) {
-      text += 'No incidents found matching the criteria.';
-    } else {
-      incidents.forEach((incident, index) => {
-        text += `${index + 1}. ${incident.number} - ${incident.short_description}\n`;
-        text += `   State: ${getStateLabel(incident.state)} | Priority: ${incident.priority} | Created: ${incident.sys_created_on}\n`;
-        if (incident.assigned_to) {
-          text += `   Assigned to: ${incident.assigned_to.display_value || incident.assigned_to}\n`;
-        }
-        text += '\n';
-      });
-    }
-    
-    return {
-      content: [
-        {
-          type: 'text',
-          text: text
-        }
-      ]
-    };
+    return toolResult(text, { ...getPageData(page), records });
   } catch (error) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error listing incidents: ${error.message}`
-        }
-      ],
-      isError: true
-    };
+    return toolError(`Error listing incidents: ${error.message}`);
   }
 }
 
+function formatIncidents(records) {
+  let text = '';
+  records.map(flattenRecord).forEach((incident, index) => {
+    text += `${index + 1}. ${incident.number} - ${incident.short_description}\n`;
+    text += `   State: ${getStateLabel(incident.state)} | Priority: ${incident.priority} | Created: ${incident.sys_created_on}\n`;
+    if (incident.assigned_to) {
+      text += `   Assigned to: ${incident.assigned_to}\n`;
+    }
+    if (incident.assignment_group) {
+      text += `   Assignment group: ${incident.assignment_group}\n`;
+    }
+    text += '\n';
+  });
+  return text;
+}
+
 function getStateLabel(state) {
   const stateLabels = {
     '1': 'New',
@@ -316,5 +279,9 @@ function getStateLabel(state) {
     '6': 'Resolved',
     '7': 'Closed'
   };
-  return stateLabels[state] || `Unknown (${state})`;
+  if (stateLabels[state]) {
+    return stateLabels[state];
+  }
+  // With display_value=true/all ServiceNow already sends the label
+  return /^\d+$/.test(state) ? `Unknown (${state})` : state;
 }
@@ -0,0 +1,56 @@
+// Shared pagination summary and data for list and query tools
+
+/**
+ * Build the headline for a page of results, e.g.
+ * "Found 250 incident(s), showing 1–100 of 250. Next page: offset=100"
+ * @param {string} noun - What is being listed, e.g. "incident(s)"
+ * @param {Object} page
+ * @param {number} page.count - Number of records in this page
+ * @param {number} [page.offset] - Offset the page was requested with
+ * @param {number} [page.limit] - Page size the page was requested with
+ * @param {number|null} [page.totalCount] - Total matching records (X-Total-Count), if known
+ * @param {number} [page.omitted] - Records of the page cut to fit the response budget
+ * @returns {string}
+ */
+export function formatPageSummary(noun, { count, offset = 0, limit = null, totalCount = null, omitted = 0 }) {
+  const known = totalCount !== null && totalCount !== undefined;
+  const { next_offset: nextOffset } = getPageData({ count, offset, limit, totalCount, omitted });
+  let text = `Found ${known ? totalCount : count + omitted} ${noun}`;
+
+  if (count > 0) {
+    text += `, showing ${offset + 1}–${offset + count}`;
+    if (known) {
+      text += ` of ${totalCount}`;
+    }
+  } else if (known && offset > 0) {
+    text += `, none at offset ${offset}`;
+  }
+
+  if (omitted > 0) {
+    text += `. ${omitted} more cut to fit the response size limit, use offset=${nextOffset} (or raise max_chars)`;
+  } else if (nextOffset !== null) {
+    text += known ? `. Next page: offset=${nextOffset}` : `. More may exist, next page: offset=${nextOffset}`;
+  }
+
+  return text;
+}
+
+/**
+ * The structured counterpart of formatPageSummary, for tool result data.
+ * @param {Object} page - Same as for formatPageSummary
+ * @returns {{count: number, offset: number, limit: number|null, total_count: number|null, next_offset: number|null, omitted: number}}
+ *   next_offset is null when there is no further page
+ */
+export function getPageData({ count, offset = 0, limit = null, totalCount = null, omitted = 0 }) {
+  const known = totalCount !== null && totalCount !== undefined;
+  const nextOffset = offset + count;
+  const hasMore = omitted > 0 || (known ? nextOffset < totalCount : Boolean(limit) && count + omitted === limit);
+  return {
+    count,
+    offset,
+    limit,
+    total_count: known ? totalCount : null,
+    next_offset: count > 0 && hasMore ? nextOffset : null,
+    omitted
+  };
+}
@@ -1,5 +1,11 @@
 // Process Activities tool handler - handles all process activity related tools
 
+import { formatPageSummary, getPageData } from './pagination.js';
+import { DISPLAY_VALUE_PROPERTY, getReadOptions } from './formatting.js';
+import { FORMAT_PROPERTY, renderRecord, renderRecords } from './rendering.js';
+import { MAX_CHARS_PROPERTY, fitRecord, fitRecordPage } from './budget.js';
+import { toolError, toolResult } from './results.js';
+
 export function registerProcessActivityTools() {
   return [
     {
@@ -20,6 +26,9 @@ export function registerProcessActivityTools() {
             type: 'boolean',
             description: 'Filter by active status (default: true)'
           },
+          display_value: DISPLAY_VALUE_PROPERTY,
+          format: FORMAT_PROPERTY,
+          max_chars: MAX_CHARS_PROPERTY,
           activityType: {
             type: 'string',
             description: 'Filter by activity type'
@@ -57,6 +66,9 @@ export function registerProcessActivityTools() {
             type: 'string',
             description: 'Comma-separated list of fields to return (default: all important fields)'
           },
+          display_value: DISPLAY_VALUE_PROPERTY,
+          format: FORMAT_PROPERTY,
+          max_chars: MAX_CHARS_PROPERTY,
           limit: {
             type: 'number',
             description: 'Maximum number of results (default: 50)',
@@ -89,7 +101,10 @@ export function registerProcessActivityTools() {
           fields: {
             type: 'string',
             description: 'Comma-separated list of fields to return (default: all fields)'
-          }
+          },
+          display_value: DISPLAY_VALUE_PROPERTY,
+          format: FORMAT_PROPERTY,
+          max_chars: MAX_CHARS_PROPERTY
         },
         required: ['activityId']
       }
@@ -97,37 +112,27 @@ export function registerProcessActivityTools() {
   ];
 }
 
-/**
- * Handle process activity tool requests
- * @param {ServiceNowClient} serviceNowClient - The authenticated ServiceNow client
- * @param {string} toolName - The name of the tool to execute
- * @param {Object} args - The arguments for the tool
- * @returns {Promise<Object>} Response object
- */
-export async function handleProcessActivityTools(serviceNowClient, toolName, args) {
-  try {
-    switch (toolName) {
-      case 'servicenow_list_process_activities':
-        return await listProcessActivities(serviceNowClient, args);
-      case 'servicenow_search_process_activities':
-        return await searchProcessActivities(serviceNowClient, args);
-      case 'servicenow_get_process_activity':
-        return await getProcessActivity(serviceNowClient, args);
-      default:
-        throw new Error(`Unknown tool: ${toolName}`);
+// Report failures as a tool result rather than a protocol error
+function withErrorResponse(handler) {
+  return async (serviceNowClient, args) => {
+    try {
+      return await handler(serviceNowClient, args);
+    } catch (error) {
+      return toolError(`Error: ${error.message}`);
     }
-  } catch (error) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error: ${error.message}`,
-        },
-      ],
-    };
-  }
+  };
 }
 
+/**
+ * Process activity tool handlers by tool name
+ * @type {Object<string, function(ServiceNowClient, Object): Promise<Object>>}
+ */
+export const processActivityToolHandlers = {
+  servicenow_list_process_activities: withErrorResponse(listProcessActivities),
+  servicenow_search_process_activities: withErrorResponse(searchProcessActivities),
+  servicenow_get_process_activity: withErrorResponse(getProcessActivity)
+};
+
 async function listProcessActivities(client, args) {
   const {
     laneId,
@@ -155,16 +160,12 @@ async function listProcessActivities(client, args) {
   }
 
   const fields = 'sys_id,name,label,description,lane,activity_definition,order,active,inputs,outputs,condition_to_run,restart_rule,sys_created_on,sys_updated_on';
-  const result = await client.queryTable('sys_pd_activity', query, fields, limit, offset, `^${orderBy}`);
-
-  return {
-    content: [
-      {
-        type: 'text',
-        text: `Found ${result.result.length} process activities:\n\n${JSON.stringify(result.result, null, 2)}`,
-      },
-    ],
-  };
+  const result = await client.queryTable('sys_pd_activity', query, fields, limit, offset, `^${orderBy}`, getReadOptions(args));
+
+  const { records, omitted, text } = fitRecordPage(result.result, args, client.env, (page) => renderRecords(page, args));
+  const page = { count: records.length, offset, limit, totalCount: result.totalCount, omitted };
+
+  return toolResult(`${formatPageSummary('process activit(ies)', page)}:\n\n${text}`, { ...getPageData(page), records });
 }
 
 async function searchProcessActivities(client, args) {
@@ -173,29 +174,19 @@ async function searchProcessActivities(client, args) {
   const defaultFields = 'sys_id,name,label,description,lane,activity_definition,order,active,inputs,outputs,condition_to_run,restart_rule,sys_created_on,sys_updated_on';
   const fieldsToUse = fields || defaultFields;
   
-  const result = await client.queryTable('sys_pd_activity', query, fieldsToUse, limit, offset, orderBy);
-
-  return {
-    content: [
-      {
-        type: 'text',
-        text: `Found ${result.result.length} process activities matching query:\n\n${JSON.stringify(result.result, null, 2)}`,
-      },
-    ],
-  };
+  const result = await client.queryTable('sys_pd_activity', query, fieldsToUse, limit, offset, orderBy, getReadOptions(args));
+
+  const { records, omitted, text } = fitRecordPage(result.result, args, client.env, (page) => renderRecords(page, args));
+  const page = { count: records.length, offset, limit, totalCount: result.totalCount, omitted };
+
+  return toolResult(`${formatPageSummary('process activit(ies) matching query', page)}:\n\n${text}`, { ...getPageData(page), records });
 }
 
 async function getProcessActivity(client, args) {
   const { activityId, fields } = args;
 
-  const result = await client.getRecord('sys_pd_activity', activityId, fields);
+  const result = await client.getRecord('sys_pd_activity', activityId, fields, getReadOptions(args));
+  const record = fitRecord(result.result, args, client.env);
 
-  return {
-    content: [
-      {
-        type: 'text',
-        text: `Process activity details:\n\n${JSON.stringify(result.result, null, 2)}`,
-      },
-    ],
-  };
+  return toolResult(`Process activity details:\n\n${renderRecord(record, args)}`, { record });
 }
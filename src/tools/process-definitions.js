@@ -1,3 +1,11 @@
+import { formatPageSummary, getPageData } from './pagination.js';
+import { DISPLAY_VALUE_PROPERTY, flattenRecord, getReadOptions } from './formatting.js';
+import { CONCURRENCY_PROPERTIES, splitUpdateArgs } from './write-options.js';
+import { DRY_RUN_PROPERTY, isDryRun, previewWrite } from './dry-run.js';
+import { FORMAT_PROPERTY, renderRecord, renderRecords } from './rendering.js';
+import { MAX_CHARS_PROPERTY, fitRecord, fitRecordPage } from './budget.js';
+import { toolError, toolResult } from './results.js';
+
 export function registerProcessDefinitionTools() {
   return [
     {
@@ -13,7 +21,10 @@ export function registerProcessDefinitionTools() {
           fields: {
             type: 'string',
             description: 'Comma-separated list of fields to retrieve (optional)'
-          }
+          },
+          display_value: DISPLAY_VALUE_PROPERTY,
+          format: FORMAT_PROPERTY,
+          max_chars: MAX_CHARS_PROPERTY
         },
         required: ['sys_id']
       }
@@ -32,6 +43,9 @@ export function registerProcessDefinitionTools() {
             type: 'string',
             description: 'Comma-separated list of fields to retrieve'
           },
+          display_value: DISPLAY_VALUE_PROPERTY,
+          format: FORMAT_PROPERTY,
+          max_chars: MAX_CHARS_PROPERTY,
           limit: {
             type: 'number',
             description: 'Maximum number of records to return (default: 100)',
@@ -68,11 +82,19 @@ export function registerProcessDefinitionTools() {
             type: 'boolean',
             description: 'Whether to search only published process definitions (default: true)'
           },
+          display_value: DISPLAY_VALUE_PROPERTY,
+          format: FORMAT_PROPERTY,
+          max_chars: MAX_CHARS_PROPERTY,
           limit: {
             type: 'number',
             description: 'Maximum number of records to return (default: 50)',
             minimum: 1,
             maximum: 200
+          },
+          offset: {
+            type: 'number',
+            description: 'Number of records to skip (for pagination)',
+            minimum: 0
           }
         },
         required: ['search_term']
@@ -113,7 +135,8 @@ export function registerProcessDefinitionTools() {
           process_type: {
             type: 'string',
             description: 'Type of process (leave empty for default)'
-          }
+          },
+          ...DRY_RUN_PROPERTY
         },
         required: ['name', 'label']
       }
@@ -158,7 +181,9 @@ export function registerProcessDefinitionTools() {
             type: 'string',
             description: 'Whether the process can be restarted',
             enum: ['RESTARTABLE_TRUE', 'RESTARTABLE_FALSE']
-          }
+          },
+          ...CONCURRENCY_PROPERTIES,
+          ...DRY_RUN_PROPERTY
         },
         required: ['sys_id']
       }
@@ -191,125 +216,64 @@ export function registerProcessDefinitionTools() {
       description: 'Get the schema/field definitions for the sys_pd_process_definition table',
       inputSchema: {
         type: 'object',
-        properties: {},
+        properties: {
+          format: FORMAT_PROPERTY,
+          max_chars: MAX_CHARS_PROPERTY
+        },
         additionalProperties: false
       }
     }
   ];
 }
 
-export async function handleProcessDefinitionTools(serviceNowClient, toolName, args) {
-  switch (toolName) {
-    case 'servicenow_process_definition_get':
-      return await handleGetProcessDefinition(serviceNowClient, args);
-    case 'servicenow_process_definition_list':
-      return await handleListProcessDefinitions(serviceNowClient, args);
-    case 'servicenow_process_definition_search':
-      return await handleSearchProcessDefinitions(serviceNowClient, args);
-    case 'servicenow_process_definition_create':
-      return await handleCreateProcessDefinition(serviceNowClient, args);
-    case 'servicenow_process_definition_update':
-      return await handleUpdateProcessDefinition(serviceNowClient, args);
-    case 'servicenow_process_definition_execute':
-      return await handleExecuteProcessDefinition(serviceNowClient, args);
-    case 'servicenow_process_definition_schema':
-      return await handleProcessDefinitionSchema(serviceNowClient, args);
-    default:
-      throw new Error(`Unknown process definition tool: ${toolName}`);
-  }
-}
+/**
+ * Process definition tool handlers by tool name
+ * @type {Object<string, function(ServiceNowClient, Object): Promise<Object>>}
+ */
+export const processDefinitionToolHandlers = {
+  servicenow_process_definition_get: handleGetProcessDefinition,
+  servicenow_process_definition_list: handleListProcessDefinitions,
+  servicenow_process_definition_search: handleSearchProcessDefinitions,
+  servicenow_process_definition_create: handleCreateProcessDefinition,
+  servicenow_process_definition_update: handleUpdateProcessDefinition,
+  servicenow_process_definition_execute: handleExecuteProcessDefinition,
+  servicenow_process_definition_schema: handleProcessDefinitionSchema
+};
 
 async function handleGetProcessDefinition(serviceNowClient, args) {
   try {
     const { sys_id, fields } = args;
-    const result = await serviceNowClient.getRecord('sys_pd_process_definition', sys_id, fields);
+    const result = await serviceNowClient.getRecord('sys_pd_process_definition', sys_id, fields, getReadOptions(args));
+    const record = fitRecord(result.result, args, serviceNowClient.env);
+    const process = flattenRecord(record);
     
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Successfully retrieved process definition "${result.result.name || result.result.label}" (sys_id: ${sys_id}):\n\n${JSON.stringify(result.result, null, 2)}`
-        }
-      ]
-    };
+    return toolResult(`Successfully retrieved process definition "${process.name || process.label}" (sys_id: ${sys_id}):\n\n${renderRecord(record, args)}`, { record });
   } catch (error) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error retrieving process definition: ${error.message}`
-        }
-      ],
-      isError: true
-    };
+    return toolError(`Error retrieving process definition: ${error.message}`);
   }
 }
 
 async function handleListProcessDefinitions(serviceNowClient, args) {
   try {
     const { query, fields, limit = 100, offset = 0, order_by } = args;
-    const result = await serviceNowClient.queryTable('sys_pd_process_definition', query, fields, limit, offset, order_by);
+    const result = await serviceNowClient.queryTable('sys_pd_process_definition', query, fields, limit, offset, order_by, getReadOptions(args));
     
-    const processes = result.result;
-    const count = processes.length;
+    const { records, omitted, text: recordsText } = fitRecordPage(result.result, args, serviceNowClient.env, (page) => (args.format ? renderRecords(page, args) : formatProcessDefinitions(page)));
+    const page = { count: records.length, offset, limit, totalCount: result.totalCount, omitted };
     
-    let text = `Found ${count} process definition(s)`;
-    if (limit && count === limit) {
-      text += ` (showing first ${limit})`;
-    }
+    let text = formatPageSummary('process definition(s)', page);
     text += ':\n\n';
+    text += records.length ? recordsText : 'No process definitions found matching the criteria.';
     
-    if (count === 0) {
-      text += 'No process definitions found matching the criteria.';
-    } else {
-      processes.forEach((process, index) => {
-        text += `${index + 1}. ${process.label || process.name}`;
-        if (process.name && process.label && process.name !== process.label) {
-          text += ` (${process.name})`;
-        }
-        text += '\n';
-        
-        if (process.description) {
-          text += `   Description: ${process.description}\n`;
-        }
-        
-        text += `   Status: ${process.status || 'Unknown'}`;
-        text += ` | Active: ${process.active === 'true' ? 'Yes' : 'No'}`;
-        
-        if (process.process_type) {
-          text += ` | Type: ${process.process_type}`;
-        }
-        
-        text += `\n   Created: ${process.sys_created_on}`;
-        text += ` | Updated: ${process.sys_updated_on}\n`;
-        text += `   Sys ID: ${process.sys_id}\n\n`;
-      });
-    }
-    
-    return {
-      content: [
-        {
-          type: 'text',
-          text: text
-        }
-      ]
-    };
+    return toolResult(text, { ...getPageData(page), records });
   } catch (error) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error listing process definitions: ${error.message}`
-        }
-      ],
-      isError: true
-    };
+    return toolError(`Error listing process definitions: ${error.message}`);
   }
 }
 
 async function handleSearchProcessDefinitions(serviceNowClient, args) {
   try {
-    const { search_term, active_only = true, published_only = true, limit = 50 } = args;
+    const { search_term, active_only = true, published_only = true, limit = 50, offset = 0 } = args;
     
     let query = '';
     
@@ -332,59 +296,70 @@ async function handleSearchProcessDefinitions(serviceNowClient, args) {
       query = searchQuery;
     }
     
-    const result = await serviceNowClient.queryTable('sys_pd_process_definition', query, null, limit, 0);
+    const result = await serviceNowClient.queryTable('sys_pd_process_definition', query, null, limit, offset, null, getReadOptions(args));
     
-    const processes = result.result;
-    const count = processes.length;
+    const { records, omitted, text: recordsText } = fitRecordPage(result.result, args, serviceNowClient.env, (page) => (args.format ? renderRecords(page, args) : formatSearchResults(page)));
+    const page = { count: records.length, offset, limit, totalCount: result.totalCount, omitted };
     
-    let text = `Found ${count} process definition(s) matching "${search_term}"`;
-    if (limit && count === limit) {
-      text += ` (showing first ${limit})`;
-    }
+    let text = formatPageSummary(`process definition(s) matching "${search_term}"`, page);
     text += ':\n\n';
+    text += records.length ? recordsText : 'No process definitions found matching the search term.';
     
-    if (count === 0) {
-      text += 'No process definitions found matching the search term.';
-    } else {
-      processes.forEach((process, index) => {
-        text += `${index + 1}. ${process.label || process.name}`;
-        if (process.name && process.label && process.name !== process.label) {
-          text += ` (${process.name})`;
-        }
-        text += '\n';
-        
-        if (process.description) {
-          text += `   Description: ${process.description}\n`;
-        }
-        
-        text += `   Status: ${process.status || 'Unknown'} | Active: ${process.active === 'true' ? 'Yes' : 'No'}\n`;
-        text += `   Sys ID: ${process.sys_id}\n\n`;
-      });
-    }
-    
-    return {
-      content: [
-        {
-          type: 'text',
-          text: text
-        }
-      ]
-    };
+    return toolResult(text, { ...getPageData(page), records });
   } catch (error) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error searching process definitions: ${error.message}`
-        }
-      ],
-      isError: true
-    };
+    return toolError(`Error searching process definitions: ${error.message}`);
   }
 }
 
+function formatProcessDefinitions(records) {
+  let text = '';
+  records.map(flattenRecord).forEach((process, index) => {
+    text += `${index + 1}. ${process.label || process.name}`;
+    if (process.name && process.label && process.name !== process.label) {
+      text += ` (${process.name})`;
+    }
+    text += '\n';
+    
+    if (process.description) {
+      text += `   Description: ${process.description}\n`;
+    }
+    
+    text += `   Status: ${process.status || 'Unknown'}`;
+    text += ` | Active: ${process.active === 'true' ? 'Yes' : 'No'}`;
+    
+    if (process.process_type) {
+      text += ` | Type: ${process.process_type}`;
+    }
+    
+    text += `\n   Created: ${process.sys_created_on}`;
+    text += ` | Updated: ${process.sys_updated_on}\n`;
+    text += `   Sys ID: ${process.sys_id}\n\n`;
+  });
+  return text;
+}
+
+function formatSearchResults(records) {
+  let text = '';
+  records.map(flattenRecord).forEach((process, index) => {
+    text += `${index + 1}. ${process.label || process.name}`;
+    if (process.name && process.label && process.name !== process.label) {
+      text += ` (${process.name})`;
+    }
+    text += '\n';
+    
+    if (process.description) {
+      text += `   Description: ${process.description}\n`;
+    }
+    
+    text += `   Status: ${process.status || 'Unknown'} | Active: ${process.active === 'true' ? 'Yes' : 'No'}\n`;
+    text += `   Sys ID: ${process.sys_id}\n\n`;
+  });
+  return text;
+}
+
 async function handleCreateProcessDefinition(serviceNowClient, args) {
   try {
+    const { dry_run, ...fields } = args;
     // Set defaults for optional fields
     const processData = {
       active: true,
@@ -393,55 +368,32 @@ async function handleCreateProcessDefinition(serviceNowClient, args) {
       status: 'draft',
       view_type: 'DIAGRAM',
       schema_version: '2',
-      ...args
+      ...fields
     };
     
+    if (isDryRun(dry_run, serviceNowClient.env)) {
+      return await previewWrite(serviceNowClient, { table: 'sys_pd_process_definition', data: processData });
+    }
     const result = await serviceNowClient.createRecord('sys_pd_process_definition', processData);
     
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Successfully created process definition "${result.result.label || result.result.name}" (sys_id: ${result.result.sys_id}):\n\n${JSON.stringify(result.result, null, 2)}`
-        }
-      ]
-    };
+    return toolResult(`Successfully created process definition "${result.result.label || result.result.name}" (sys_id: ${result.result.sys_id}):\n\n${JSON.stringify(result.result, null, 2)}`, { record: result.result });
   } catch (error) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error creating process definition: ${error.message}`
-        }
-      ],
-      isError: true
-    };
+    return toolError(`Error creating process definition: ${error.message}`);
   }
 }
 
 async function handleUpdateProcessDefinition(serviceNowClient, args) {
   try {
-    const { sys_id, ...updateData } = args;
-    const result = await serviceNowClient.updateRecord('sys_pd_process_definition', sys_id, updateData);
+    const { sys_id, dry_run, ...fields } = args;
+    const { data: updateData, options } = splitUpdateArgs(fields);
+    if (isDryRun(dry_run, serviceNowClient.env)) {
+      return await previewWrite(serviceNowClient, { table: 'sys_pd_process_definition', sysId: sys_id, data: updateData, options });
+    }
+    const result = await serviceNowClient.updateRecord('sys_pd_process_definition', sys_id, updateData, options);
     
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Successfully updated process definition "${result.result.label || result.result.name}" (sys_id: ${sys_id}):\n\n${JSON.stringify(result.result, null, 2)}`
-        }
-      ]
-    };
+    return toolResult(`Successfully updated process definition "${result.result.label || result.result.name}" (sys_id: ${sys_id}):\n\n${JSON.stringify(result.result, null, 2)}`, { record: result.result });
   } catch (error) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error updating process definition: ${error.message}`
-        }
-      ],
-      isError: true
-    };
+    return toolError(`Error updating process definition: ${error.message}`);
   }
 }
 
@@ -454,49 +406,18 @@ async function handleExecuteProcessDefinition(serviceNowClient, args) {
     const process = processResult.result;
     
     if (process.active !== 'true') {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Cannot execute process definition "${process.label || process.name}": Process is not active.`
-          }
-        ],
-        isError: true
-      };
+      return toolError(`Cannot execute process definition "${process.label || process.name}": Process is not active.`);
     }
     
     if (process.status !== 'published') {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Cannot execute process definition "${process.label || process.name}": Process is not published (status: ${process.status}).`
-          }
-        ],
-        isError: true
-      };
+      return toolError(`Cannot execute process definition "${process.label || process.name}": Process is not published (status: ${process.status}).`);
     }
     
     // Note: Actual process execution would require the Process Automation API
     // This is a placeholder for the execution logic
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Process execution initiated for "${process.label || process.name}" (sys_id: ${sys_id}).\n\nNote: Actual process execution requires additional API endpoints that may not be available in all ServiceNow instances. This tool confirms the process is ready for execution.\n\nInput data: ${JSON.stringify(input_data, null, 2)}`
-        }
-      ]
-    };
+    return toolResult(`Process execution initiated for "${process.label || process.name}" (sys_id: ${sys_id}).\n\nNote: Actual process execution requires additional API endpoints that may not be available in all ServiceNow instances. This tool confirms the process is ready for execution.\n\nInput data: ${JSON.stringify(input_data, null, 2)}`, { sys_id, ready: true, process, input_data });
   } catch (error) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error executing process definition: ${error.message}`
-        }
-      ],
-      isError: true
-    };
+    return toolError(`Error executing process definition: ${error.message}`);
   }
 }
 
@@ -514,6 +435,8 @@ async function handleProcessDefinitionSchema(serviceNowClient, args) {
     
     if (count === 0) {
       text += 'No field definitions found for this table.';
+    } else if (args.format) {
+      text += renderRecords(fieldDefinitions, args);
     } else {
       fieldDefinitions.forEach((field, index) => {
         if (field.element && field.element !== '') {
@@ -553,23 +476,8 @@ async function handleProcessDefinitionSchema(serviceNowClient, args) {
       });
     }
     
-    return {
-      content: [
-        {
-          type: 'text',
-          text: text
-        }
-      ]
-    };
+    return toolResult(text, { table: 'sys_pd_process_definition', fields: fieldDefinitions });
   } catch (error) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error retrieving schema for sys_pd_process_definition table: ${error.message}`
-        }
-      ],
-      isError: true
-    };
+    return toolError(`Error retrieving schema for sys_pd_process_definition table: ${error.message}`);
   }
 }
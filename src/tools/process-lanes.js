@@ -1,5 +1,11 @@
 // Process Lanes tool handler - handles all process lane related tools
 
+import { formatPageSummary, getPageData } from './pagination.js';
+import { DISPLAY_VALUE_PROPERTY, getReadOptions } from './formatting.js';
+import { FORMAT_PROPERTY, renderRecord, renderRecords } from './rendering.js';
+import { MAX_CHARS_PROPERTY, fitRecord, fitRecordPage } from './budget.js';
+import { toolError, toolResult } from './results.js';
+
 export function registerProcessLaneTools() {
   return [
     {
@@ -16,6 +22,9 @@ export function registerProcessLaneTools() {
             type: 'boolean',
             description: 'Filter by active status (default: true)'
           },
+          display_value: DISPLAY_VALUE_PROPERTY,
+          format: FORMAT_PROPERTY,
+          max_chars: MAX_CHARS_PROPERTY,
           limit: {
             type: 'number',
             description: 'Maximum number of lanes to return (default: 50)',
@@ -49,6 +58,9 @@ export function registerProcessLaneTools() {
             type: 'string',
             description: 'Comma-separated list of fields to return (default: all important fields)'
           },
+          display_value: DISPLAY_VALUE_PROPERTY,
+          format: FORMAT_PROPERTY,
+          max_chars: MAX_CHARS_PROPERTY,
           limit: {
             type: 'number',
             description: 'Maximum number of results (default: 50)',
@@ -81,7 +93,10 @@ export function registerProcessLaneTools() {
           fields: {
             type: 'string',
             description: 'Comma-separated list of fields to return (default: all fields)'
-          }
+          },
+          display_value: DISPLAY_VALUE_PROPERTY,
+          format: FORMAT_PROPERTY,
+          max_chars: MAX_CHARS_PROPERTY
         },
         required: ['laneId']
       }
@@ -89,37 +104,27 @@ export function registerProcessLaneTools() {
   ];
 }
 
-/**
- * Handle process lane tool requests
- * @param {ServiceNowClient} serviceNowClient - The authenticated ServiceNow client
- * @param {string} toolName - The name of the tool to execute
- * @param {Object} args - The arguments for the tool
- * @returns {Promise<Object>} Response object
- */
-export async function handleProcessLaneTools(serviceNowClient, toolName, args) {
-  try {
-    switch (toolName) {
-      case 'servicenow_list_process_lanes':
-        return await listProcessLanes(serviceNowClient, args);
-      case 'servicenow_search_process_lanes':
-        return await searchProcessLanes(serviceNowClient, args);
-      case 'servicenow_get_process_lane':
-        return await getProcessLane(serviceNowClient, args);
-      default:
-        throw new Error(`Unknown tool: ${toolName}`);
+// Report failures as a tool result rather than a protocol error
+function withErrorResponse(handler) {
+  return async (serviceNowClient, args) => {
+    try {
+      return await handler(serviceNowClient, args);
+    } catch (error) {
+      return toolError(`Error: ${error.message}`);
     }
-  } catch (error) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error: ${error.message}`,
-        },
-      ],
-    };
-  }
+  };
 }
 
+/**
+ * Process lane tool handlers by tool name
+ * @type {Object<string, function(ServiceNowClient, Object): Promise<Object>>}
+ */
+export const processLaneToolHandlers = {
+  servicenow_list_process_lanes: withErrorResponse(listProcessLanes),
+  servicenow_search_process_lanes: withErrorResponse(searchProcessLanes),
+  servicenow_get_process_lane: withErrorResponse(getProcessLane)
+};
+
 async function listProcessLanes(client, args) {
   const {
     processDefinitionId,
@@ -138,16 +143,12 @@ async function listProcessLanes(client, args) {
   }
 
   const fields = 'sys_id,name,label,description,process_definition,order,active,lane_condition,condition_to_run,sys_created_on,sys_updated_on';
-  const result = await client.queryTable('sys_pd_lane', query, fields, limit, offset, `^${orderBy}`);
-
-  return {
-    content: [
-      {
-        type: 'text',
-        text: `Found ${result.result.length} process lanes:\n\n${JSON.stringify(result.result, null, 2)}`,
-      },
-    ],
-  };
+  const result = await client.queryTable('sys_pd_lane', query, fields, limit, offset, `^${orderBy}`, getReadOptions(args));
+
+  const { records, omitted, text } = fitRecordPage(result.result, args, client.env, (page) => renderRecords(page, args));
+  const page = { count: records.length, offset, limit, totalCount: result.totalCount, omitted };
+
+  return toolResult(`${formatPageSummary('process lane(s)', page)}:\n\n${text}`, { ...getPageData(page), records });
 }
 
 async function searchProcessLanes(client, args) {
@@ -156,29 +157,19 @@ async function searchProcessLanes(client, args) {
   const defaultFields = 'sys_id,name,label,description,process_definition,order,active,lane_condition,condition_to_run,sys_created_on,sys_updated_on';
   const fieldsToUse = fields || defaultFields;
   
-  const result = await client.queryTable('sys_pd_lane', query, fieldsToUse, limit, offset, orderBy);
-
-  return {
-    content: [
-      {
-        type: 'text',
-        text: `Found ${result.result.length} process lanes matching query:\n\n${JSON.stringify(result.result, null, 2)}`,
-      },
-    ],
-  };
+  const result = await client.queryTable('sys_pd_lane', query, fieldsToUse, limit, offset, orderBy, getReadOptions(args));
+
+  const { records, omitted, text } = fitRecordPage(result.result, args, client.env, (page) => renderRecords(page, args));
+  const page = { count: records.length, offset, limit, totalCount: result.totalCount, omitted };
+
+  return toolResult(`${formatPageSummary('process lane(s) matching query', page)}:\n\n${text}`, { ...getPageData(page), records });
 }
 
 async function getProcessLane(client, args) {
   const { laneId, fields } = args;
 
-  const result = await client.getRecord('sys_pd_lane', laneId, fields);
+  const result = await client.getRecord('sys_pd_lane', laneId, fields, getReadOptions(args));
+  const record = fitRecord(result.result, args, client.env);
 
-  return {
-    content: [
-      {
-        type: 'text',
-        text: `Process lane details:\n\n${JSON.stringify(result.result, null, 2)}`,
-      },
-    ],
-  };
+  return toolResult(`Process lane details:\n\n${renderRecord(record, args)}`, { record });
 }
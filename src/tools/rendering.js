@@ -0,0 +1,120 @@
+// Shared renderer for read tools: records as a markdown table, CSV, JSON or a
+// token-lean compact layout, with the columns chosen by the fields argument
+
+import { formatFieldValue } from './formatting.js';
+
+export const OUTPUT_FORMATS = ['markdown', 'csv', 'json', 'compact'];
+
+// format argument; when omitted each tool keeps its own text layout
+export const FORMAT_PROPERTY = {
+  type: 'string',
+  description: 'Output format: "markdown" (table), "csv", "json" or "compact" (fewest tokens: no sys_* fields except sys_id and no empty columns unless named in fields). Default: the tool\'s standard layout',
+  enum: OUTPUT_FORMATS
+};
+
+function splitFields(fields) {
+  return [...new Set((fields || '').split(',').map((field) => field.trim()).filter(Boolean))];
+}
+
+function isEmpty(value) {
+  return formatFieldValue(value) === '';
+}
+
+/**
+ * Columns to render. Fields named in `fields` are shown in that order, even when
+ * empty; otherwise every field the records have, in the order they appear.
+ * Compact output drops system fields other than sys_id and empty columns.
+ * @param {Object[]} records
+ * @param {Object} options
+ * @param {string} [options.format]
+ * @param {string} [options.fields] - Comma-separated fields, as passed to the tool
+ * @returns {string[]}
+ */
+export function getColumns(records, { format, fields } = {}) {
+  const requested = splitFields(fields);
+  if (requested.length) {
+    return requested;
+  }
+
+  const columns = [...new Set(records.flatMap((record) => Object.keys(record)))];
+  if (format !== 'compact') {
+    return columns;
+  }
+  return columns.filter((column) => (column === 'sys_id' || !column.startsWith('sys_'))
+    && records.some((record) => !isEmpty(record[column])));
+}
+
+function pick(record, columns) {
+  return Object.fromEntries(columns.filter((column) => column in record).map((column) => [column, record[column]]));
+}
+
+function markdownCell(value) {
+  return formatFieldValue(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function csvCell(value) {
+  const text = formatFieldValue(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function compactValue(value) {
+  return formatFieldValue(value).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Render a list of records.
+ * @param {Object[]} records - Records as returned by the Table API
+ * @param {Object} options
+ * @param {string} [options.format] - One of OUTPUT_FORMATS (default: json)
+ * @param {string} [options.fields] - Comma-separated fields selecting the columns
+ * @param {string[]} [options.columns] - Explicit columns, overriding fields
+ * @returns {string}
+ */
+export function renderRecords(records, { format = 'json', fields, columns } = {}) {
+  const shown = columns || getColumns(records, { format, fields });
+
+  switch (format) {
+    case 'markdown':
+      return [
+        `| ${shown.join(' | ')} |`,
+        `| ${shown.map(() => '---').join(' | ')} |`,
+        ...records.map((record) => `| ${shown.map((column) => markdownCell(record[column])).join(' | ')} |`)
+      ].join('\n');
+    case 'csv':
+      return [shown, ...records.map((record) => shown.map((column) => record[column]))]
+        .map((row) => row.map(csvCell).join(','))
+        .join('\n');
+    case 'compact':
+      return [shown, ...records.map((record) => shown.map((column) => record[column]))]
+        .map((row) => row.map((value) => compactValue(value).replace(/\|/g, '\\|')).join('|'))
+        .join('\n');
+    default:
+      return JSON.stringify(records.map((record) => pick(record, shown)), null, 2);
+  }
+}
+
+/**
+ * Render a single record. Markdown shows a field/value table and compact one
+ * "field: value" line per field.
+ * @param {Object} record - Record as returned by the Table API
+ * @param {Object} options - Same as for renderRecords
+ * @returns {string}
+ */
+export function renderRecord(record, { format = 'json', fields, columns } = {}) {
+  const shown = columns || getColumns([record], { format, fields });
+
+  switch (format) {
+    case 'markdown':
+      return [
+        '| field | value |',
+        '| --- | --- |',
+        ...shown.map((column) => `| ${markdownCell(column)} | ${markdownCell(record[column])} |`)
+      ].join('\n');
+    case 'compact':
+      return shown.map((column) => `${column}: ${compactValue(record[column])}`).join('\n');
+    case 'csv':
+      return renderRecords([record], { format, columns: shown });
+    default:
+      return JSON.stringify(pick(record, shown), null, 2);
+  }
+}
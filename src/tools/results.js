@@ -0,0 +1,40 @@
+// Tool result contract: every handler returns a readable summary plus the
+// machine-readable data behind it, and the server maps both onto the MCP result
+
+/**
+ * @param {string} summary - Readable text shown to the user and the model
+ * @param {Object} [data] - The same result as structured data
+ * @returns {{summary: string, data: Object}}
+ */
+export function toolResult(summary, data = {}) {
+  return { summary, data };
+}
+
+/**
+ * A tool call that failed; the summary doubles as data.error.
+ * @param {string} summary - Error message
+ * @param {Object} [data] - Details for programs, e.g. the rejected values
+ * @returns {{summary: string, data: Object, isError: true}}
+ */
+export function toolError(summary, data = {}) {
+  return { summary, data: { error: summary, ...data }, isError: true };
+}
+
+/**
+ * Map a handler result onto an MCP CallTool result: a text block with the
+ * summary and `structuredContent` with the data.
+ * @param {{summary: string, data: Object, isError?: boolean}} result
+ * @returns {Object}
+ */
+export function toCallToolResult(result) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: result.summary
+      }
+    ],
+    structuredContent: result.data,
+    ...(result.isError && { isError: true })
+  };
+}
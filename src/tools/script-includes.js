@@ -1,3 +1,14 @@
+import { formatPageSummary, getPageData } from './pagination.js';
+import { DISPLAY_VALUE_PROPERTY, flattenRecord, getReadOptions } from './formatting.js';
+import { CONCURRENCY_PROPERTIES, splitUpdateArgs } from './write-options.js';
+import { DRY_RUN_PROPERTY, isDryRun, previewWrite } from './dry-run.js';
+import { FORMAT_PROPERTY, renderRecord, renderRecords } from './rendering.js';
+import { MAX_CHARS_PROPERTY, fitRecord, fitRecordPage } from './budget.js';
+import { toolError, toolResult } from './results.js';
+
+// Characters of script shown on each side of a search match
+const SNIPPET_CONTEXT_CHARS = 100;
+
 export function registerScriptIncludeTools() {
   return [
     {
@@ -13,7 +24,10 @@ export function registerScriptIncludeTools() {
           fields: {
             type: 'string',
             description: 'Comma-separated list of fields to retrieve (optional)'
-          }
+          },
+          display_value: DISPLAY_VALUE_PROPERTY,
+          format: FORMAT_PROPERTY,
+          max_chars: MAX_CHARS_PROPERTY
         },
         required: ['sys_id']
       }
@@ -52,7 +66,8 @@ export function registerScriptIncludeTools() {
             type: 'string',
             description: 'Access level for the script include',
             enum: ['public', 'package_private']
-          }
+          },
+          ...DRY_RUN_PROPERTY
         },
         required: ['name', 'script']
       }
@@ -95,7 +110,9 @@ export function registerScriptIncludeTools() {
             type: 'string',
             description: 'Access level for the script include',
             enum: ['public', 'package_private']
-          }
+          },
+          ...CONCURRENCY_PROPERTIES,
+          ...DRY_RUN_PROPERTY
         },
         required: ['sys_id']
       }
@@ -114,6 +131,9 @@ export function registerScriptIncludeTools() {
             type: 'string',
             description: 'Comma-separated list of fields to retrieve'
           },
+          display_value: DISPLAY_VALUE_PROPERTY,
+          format: FORMAT_PROPERTY,
+          max_chars: MAX_CHARS_PROPERTY,
           limit: {
             type: 'number',
             description: 'Maximum number of records to return (default: 100)',
@@ -150,11 +170,19 @@ export function registerScriptIncludeTools() {
             type: 'boolean',
             description: 'Whether to search only active script includes (default: true)'
           },
+          display_value: DISPLAY_VALUE_PROPERTY,
+          format: FORMAT_PROPERTY,
+          max_chars: MAX_CHARS_PROPERTY,
           limit: {
             type: 'number',
             description: 'Maximum number of records to return (default: 50)',
             minimum: 1,
             maximum: 200
+          },
+          offset: {
+            type: 'number',
+            description: 'Number of records to skip (for pagination)',
+            minimum: 0
           }
         },
         required: ['search_term']
@@ -163,168 +191,88 @@ export function registerScriptIncludeTools() {
   ];
 }
 
-export async function handleScriptIncludeTools(serviceNowClient, toolName, args) {
-  switch (toolName) {
-    case 'servicenow_script_include_get':
-      return await handleGetScriptInclude(serviceNowClient, args);
-    case 'servicenow_script_include_create':
-      return await handleCreateScriptInclude(serviceNowClient, args);
-    case 'servicenow_script_include_update':
-      return await handleUpdateScriptInclude(serviceNowClient, args);
-    case 'servicenow_script_include_list':
-      return await handleListScriptIncludes(serviceNowClient, args);
-    case 'servicenow_script_include_search':
-      return await handleSearchScriptIncludes(serviceNowClient, args);
-    default:
-      throw new Error(`Unknown script include tool: ${toolName}`);
-  }
-}
+/**
+ * Script include tool handlers by tool name
+ * @type {Object<string, function(ServiceNowClient, Object): Promise<Object>>}
+ */
+export const scriptIncludeToolHandlers = {
+  servicenow_script_include_get: handleGetScriptInclude,
+  servicenow_script_include_create: handleCreateScriptInclude,
+  servicenow_script_include_update: handleUpdateScriptInclude,
+  servicenow_script_include_list: handleListScriptIncludes,
+  servicenow_script_include_search: handleSearchScriptIncludes
+};
 
 async function handleGetScriptInclude(serviceNowClient, args) {
   try {
     const { sys_id, fields } = args;
-    const result = await serviceNowClient.getScriptInclude(sys_id, fields);
+    const result = await serviceNowClient.getScriptInclude(sys_id, fields, getReadOptions(args));
+    const record = fitRecord(result.result, args, serviceNowClient.env);
     
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Successfully retrieved script include "${result.result.name}" (sys_id: ${sys_id}):\n\n${JSON.stringify(result.result, null, 2)}`
-        }
-      ]
-    };
+    return toolResult(`Successfully retrieved script include "${flattenRecord(record).name}" (sys_id: ${sys_id}):\n\n${renderRecord(record, args)}`, { record });
   } catch (error) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error retrieving script include: ${error.message}`
-        }
-      ],
-      isError: true
-    };
+    return toolError(`Error retrieving script include: ${error.message}`);
   }
 }
 
 async function handleCreateScriptInclude(serviceNowClient, args) {
   try {
+    const { dry_run, ...fields } = args;
     // Set defaults for optional fields
     const scriptData = {
       active: true,
       client_callable: false,
       access: 'public',
-      ...args
+      ...fields
     };
     
+    if (isDryRun(dry_run, serviceNowClient.env)) {
+      return await previewWrite(serviceNowClient, { table: 'sys_script_include', data: scriptData });
+    }
     const result = await serviceNowClient.createScriptInclude(scriptData);
     
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Successfully created script include "${result.result.name}" (sys_id: ${result.result.sys_id}):\n\n${JSON.stringify(result.result, null, 2)}`
-        }
-      ]
-    };
+    return toolResult(`Successfully created script include "${result.result.name}" (sys_id: ${result.result.sys_id}):\n\n${JSON.stringify(result.result, null, 2)}`, { record: result.result });
   } catch (error) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error creating script include: ${error.message}`
-        }
-      ],
-      isError: true
-    };
+    return toolError(`Error creating script include: ${error.message}`);
   }
 }
 
 async function handleUpdateScriptInclude(serviceNowClient, args) {
   try {
-    const { sys_id, ...updateData } = args;
-    const result = await serviceNowClient.updateScriptInclude(sys_id, updateData);
+    const { sys_id, dry_run, ...fields } = args;
+    const { data: updateData, options } = splitUpdateArgs(fields);
+    if (isDryRun(dry_run, serviceNowClient.env)) {
+      return await previewWrite(serviceNowClient, { table: 'sys_script_include', sysId: sys_id, data: updateData, options });
+    }
+    const result = await serviceNowClient.updateScriptInclude(sys_id, updateData, options);
     
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Successfully updated script include "${result.result.name}" (sys_id: ${sys_id}):\n\n${JSON.stringify(result.result, null, 2)}`
-        }
-      ]
-    };
+    return toolResult(`Successfully updated script include "${result.result.name}" (sys_id: ${sys_id}):\n\n${JSON.stringify(result.result, null, 2)}`, { record: result.result });
   } catch (error) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error updating script include: ${error.message}`
-        }
-      ],
-      isError: true
-    };
+    return toolError(`Error updating script include: ${error.message}`);
   }
 }
 
 async function handleListScriptIncludes(serviceNowClient, args) {
   try {
     const { query, fields, limit = 100, offset = 0, order_by } = args;
-    const result = await serviceNowClient.queryScriptIncludes(query, fields, limit, offset, order_by);
+    const result = await serviceNowClient.queryScriptIncludes(query, fields, limit, offset, order_by, getReadOptions(args));
     
-    const scriptIncludes = result.result;
-    const count = scriptIncludes.length;
+    const { records, omitted, text: recordsText } = fitRecordPage(result.result, args, serviceNowClient.env, (page) => (args.format ? renderRecords(page, args) : formatScriptIncludes(page)));
+    const page = { count: records.length, offset, limit, totalCount: result.totalCount, omitted };
     
-    let text = `Found ${count} script include(s)`;
-    if (limit && count === limit) {
-      text += ` (showing first ${limit})`;
-    }
+    let text = formatPageSummary('script include(s)', page);
     text += ':\n\n';
+    text += records.length ? recordsText : 'No script includes found matching the criteria.';
     
-    if (count === 0) {
-      text += 'No script includes found matching the criteria.';
-    } else {
-      scriptIncludes.forEach((script, index) => {
-        text += `${index + 1}. ${script.name}`;
-        if (script.api_name && script.api_name !== script.name) {
-          text += ` (API: ${script.api_name})`;
-        }
-        text += '\n';
-        
-        if (script.description) {
-          text += `   Description: ${script.description}\n`;
-        }
-        
-        text += `   Active: ${script.active === 'true' ? 'Yes' : 'No'}`;
-        if (script.client_callable === 'true') {
-          text += ' | Client Callable: Yes';
-        }
-        text += `\n   Created: ${script.sys_created_on}\n\n`;
-      });
-    }
-    
-    return {
-      content: [
-        {
-          type: 'text',
-          text: text
-        }
-      ]
-    };
+    return toolResult(text, { ...getPageData(page), records });
   } catch (error) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error listing script includes: ${error.message}`
-        }
-      ],
-      isError: true
-    };
+    return toolError(`Error listing script includes: ${error.message}`);
   }
 }
 
 async function handleSearchScriptIncludes(serviceNowClient, args) {
   try {
-    const { search_term, search_in_script = false, active_only = true, limit = 50 } = args;
+    const { search_term, search_in_script = false, active_only = true, limit = 50, offset = 0 } = args;
     
     let query = '';
     
@@ -344,58 +292,75 @@ async function handleSearchScriptIncludes(serviceNowClient, args) {
       query += `^ORscriptLIKE${search_term}`;
     }
     
-    const result = await serviceNowClient.queryScriptIncludes(query, null, limit, 0);
+    const result = await serviceNowClient.queryScriptIncludes(query, null, limit, offset, null, getReadOptions(args));
     
-    const scriptIncludes = result.result;
-    const count = scriptIncludes.length;
+    // Snippets come from the full scripts; the page only carries clipped copies
+    const snippets = search_in_script ? result.result.map((record) => getScriptSnippet(flattenRecord(record).script, search_term)) : [];
+    const { records, omitted, text: recordsText } = fitRecordPage(result.result, args, serviceNowClient.env, (page) => (args.format ? renderRecords(page, args) : formatSearchResults(page, snippets)));
+    const page = { count: records.length, offset, limit, totalCount: result.totalCount, omitted };
     
-    let text = `Found ${count} script include(s) matching "${search_term}"`;
-    if (limit && count === limit) {
-      text += ` (showing first ${limit})`;
-    }
+    let text = formatPageSummary(`script include(s) matching "${search_term}"`, page);
     text += ':\n\n';
+    text += records.length ? recordsText : 'No script includes found matching the search term.';
     
-    if (count === 0) {
-      text += 'No script includes found matching the search term.';
-    } else {
-      scriptIncludes.forEach((script, index) => {
-        text += `${index + 1}. ${script.name}`;
-        if (script.api_name && script.api_name !== script.name) {
-          text += ` (API: ${script.api_name})`;
-        }
-        text += '\n';
-        
-        if (script.description) {
-          text += `   Description: ${script.description}\n`;
-        }
-        
-        // Show snippet of script if search was in content and match found
-        if (search_in_script && script.script && script.script.toLowerCase().includes(search_term.toLowerCase())) {
-          const scriptSnippet = script.script.substring(0, 200);
-          text += `   Script snippet: ${scriptSnippet}${script.script.length > 200 ? '...' : ''}\n`;
-        }
-        
-        text += `   Active: ${script.active === 'true' ? 'Yes' : 'No'}\n\n`;
-      });
+    return toolResult(text, { ...getPageData(page), records });
+  } catch (error) {
+    return toolError(`Error searching script includes: ${error.message}`);
+  }
+}
+
+function formatScriptIncludes(records) {
+  let text = '';
+  records.map(flattenRecord).forEach((script, index) => {
+    text += `${index + 1}. ${script.name}`;
+    if (script.api_name && script.api_name !== script.name) {
+      text += ` (API: ${script.api_name})`;
     }
+    text += '\n';
     
-    return {
-      content: [
-        {
-          type: 'text',
-          text: text
-        }
-      ]
-    };
-  } catch (error) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error searching script includes: ${error.message}`
-        }
-      ],
-      isError: true
-    };
+    if (script.description) {
+      text += `   Description: ${script.description}\n`;
+    }
+    
+    text += `   Active: ${script.active === 'true' ? 'Yes' : 'No'}`;
+    if (script.client_callable === 'true') {
+      text += ' | Client Callable: Yes';
+    }
+    text += `\n   Created: ${script.sys_created_on}\n\n`;
+  });
+  return text;
+}
+
+// The script around the first match of `term`, or null without a match
+function getScriptSnippet(script, term) {
+  const index = typeof script === 'string' ? script.toLowerCase().indexOf(term.toLowerCase()) : -1;
+  if (index === -1) {
+    return null;
   }
+  const start = Math.max(0, index - SNIPPET_CONTEXT_CHARS);
+  const end = Math.min(script.length, index + term.length + SNIPPET_CONTEXT_CHARS);
+  return `${start > 0 ? '...' : ''}${script.slice(start, end)}${end < script.length ? '...' : ''}`;
+}
+
+function formatSearchResults(records, snippets) {
+  let text = '';
+  records.map(flattenRecord).forEach((script, index) => {
+    text += `${index + 1}. ${script.name}`;
+    if (script.api_name && script.api_name !== script.name) {
+      text += ` (API: ${script.api_name})`;
+    }
+    text += '\n';
+    
+    if (script.description) {
+      text += `   Description: ${script.description}\n`;
+    }
+    
+    // Show snippet of script if search was in content and match found
+    if (snippets[index]) {
+      text += `   Script snippet: ${snippets[index]}\n`;
+    }
+    
+    text += `   Active: ${script.active === 'true' ? 'Yes' : 'No'}\n\n`;
+  });
+  return text;
 }
@@ -1,3 +1,18 @@
+import { formatPageSummary, getPageData } from './pagination.js';
+import { DISPLAY_VALUE_PROPERTY, flattenRecord, getReadOptions } from './formatting.js';
+import { CONCURRENCY_PROPERTIES, splitUpdateArgs } from './write-options.js';
+import { DRY_RUN_PROPERTY, isDryRun, previewWrite } from './dry-run.js';
+import { FORMAT_PROPERTY, renderRecord, renderRecords } from './rendering.js';
+import { MAX_CHARS_PROPERTY, exceedsBudget, fitRecord, fitRecordPage } from './budget.js';
+import { toolError, toolResult } from './results.js';
+import { checkWritePolicy, findMatchingPattern, getProtectedTables } from './table-rules.js';
+import { writeAuditEntry } from '../audit-log.js';
+
+// Hard ceiling for fetch_all so a single call cannot pull an entire table
+const FETCH_ALL_MAX_RECORDS = 10000;
+// Small pages, so fetching stops soon after the response size limit is reached
+const FETCH_ALL_PAGE_SIZE = 200;
+
 export function registerTableTools() {
   return [
     {
@@ -18,6 +33,9 @@ export function registerTableTools() {
             type: 'string',
             description: 'Comma-separated list of fields to retrieve'
           },
+          display_value: DISPLAY_VALUE_PROPERTY,
+          format: FORMAT_PROPERTY,
+          max_chars: MAX_CHARS_PROPERTY,
           limit: {
             type: 'number',
             description: 'Maximum number of records to return (default: 100)',
@@ -32,6 +50,16 @@ export function registerTableTools() {
           order_by: {
             type: 'string',
             description: 'Field to order by (prefix with ^ for descending, e.g., "^sys_created_on")'
+          },
+          fetch_all: {
+            type: 'boolean',
+            description: 'Follow pagination and return every matching record starting at offset, up to max_records (default: false)'
+          },
+          max_records: {
+            type: 'number',
+            description: `Maximum number of records to return when fetch_all is true (default and hard limit: ${FETCH_ALL_MAX_RECORDS})`,
+            minimum: 1,
+            maximum: FETCH_ALL_MAX_RECORDS
           }
         },
         required: ['table']
@@ -54,7 +82,10 @@ export function registerTableTools() {
           fields: {
             type: 'string',
             description: 'Comma-separated list of fields to retrieve (optional)'
-          }
+          },
+          display_value: DISPLAY_VALUE_PROPERTY,
+          format: FORMAT_PROPERTY,
+          max_chars: MAX_CHARS_PROPERTY
         },
         required: ['table', 'sys_id']
       }
@@ -73,7 +104,8 @@ export function registerTableTools() {
             type: 'object',
             description: 'Object containing the field values for the new record',
             additionalProperties: true
-          }
+          },
+          ...DRY_RUN_PROPERTY
         },
         required: ['table', 'data']
       }
@@ -94,13 +126,37 @@ export function registerTableTools() {
           },
           data: {
             type: 'object',
-            description: 'Object containing the field values to update',
+            description: 'Object containing the field values to update; fields not listed are left unchanged',
             additionalProperties: true
-          }
+          },
+          ...CONCURRENCY_PROPERTIES,
+          ...DRY_RUN_PROPERTY
         },
         required: ['table', 'sys_id', 'data']
       }
     },
+    {
+      name: 'servicenow_delete_record',
+      description: 'Delete a record from a ServiceNow table. Call without confirm_sys_id first to review the record, then repeat the call with confirm_sys_id set to the same sys_id to delete it. Protected tables are refused.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          table: {
+            type: 'string',
+            description: 'Name of the ServiceNow table'
+          },
+          sys_id: {
+            type: 'string',
+            description: 'The sys_id of the record to delete'
+          },
+          confirm_sys_id: {
+            type: 'string',
+            description: 'Must repeat sys_id exactly to confirm the deletion; omit to preview the record'
+          }
+        },
+        required: ['table', 'sys_id']
+      }
+    },
     {
       name: 'servicenow_table_schema',
       description: 'Get schema information for a ServiceNow table (field definitions)',
@@ -110,7 +166,9 @@ export function registerTableTools() {
           table: {
             type: 'string',
             description: 'Name of the ServiceNow table to get schema for'
-          }
+          },
+          format: FORMAT_PROPERTY,
+          max_chars: MAX_CHARS_PROPERTY
         },
         required: ['table']
       }
@@ -118,165 +176,199 @@ export function registerTableTools() {
   ];
 }
 
-export async function handleTableTools(serviceNowClient, toolName, args) {
-  switch (toolName) {
-    case 'servicenow_query_table':
-      return await handleQueryTable(serviceNowClient, args);
-    case 'servicenow_get_record':
-      return await handleGetRecord(serviceNowClient, args);
-    case 'servicenow_create_record':
-      return await handleCreateRecord(serviceNowClient, args);
-    case 'servicenow_update_record':
-      return await handleUpdateRecord(serviceNowClient, args);
-    case 'servicenow_table_schema':
-      return await handleTableSchema(serviceNowClient, args);
-    default:
-      throw new Error(`Unknown table tool: ${toolName}`);
-  }
-}
+/**
+ * Table API tool handlers by tool name
+ * @type {Object<string, function(ServiceNowClient, Object): Promise<Object>>}
+ */
+export const tableToolHandlers = {
+  servicenow_query_table: handleQueryTable,
+  servicenow_get_record: handleGetRecord,
+  servicenow_create_record: handleCreateRecord,
+  servicenow_update_record: handleUpdateRecord,
+  servicenow_delete_record: handleDeleteRecord,
+  servicenow_table_schema: handleTableSchema
+};
 
 async function handleQueryTable(serviceNowClient, args) {
   try {
-    const { table, query, fields, limit = 100, offset = 0, order_by } = args;
-    const result = await serviceNowClient.queryTable(table, query, fields, limit, offset, order_by);
+    const { table, query, fields, limit = 100, offset = 0, order_by, fetch_all = false } = args;
+
+    if (fetch_all) {
+      return await handleQueryAll(serviceNowClient, args);
+    }
+
+    const result = await serviceNowClient.queryTable(table, query, fields, limit, offset, order_by, getReadOptions(args));
     
-    const records = result.result;
-    const count = records.length;
+    const { records, omitted, text: recordsText } = fitRecordPage(result.result, args, serviceNowClient.env, (page) => renderPage(page, args));
+    const page = { count: records.length, offset, limit, totalCount: result.totalCount, omitted };
     
-    let text = `Found ${count} record(s) in table "${table}"`;
-    if (limit && count === limit) {
-      text += ` (showing first ${limit})`;
-    }
+    let text = formatPageSummary(`record(s) in table "${table}"`, page);
     text += ':\n\n';
+    text += records.length ? recordsText : 'No records found matching the criteria.';
     
-    if (count === 0) {
-      text += 'No records found matching the criteria.';
-    } else {
-      records.forEach((record, index) => {
-        text += `${index + 1}. Record ${record.sys_id}:\n`;
-        
-        // Show key fields if available
-        const keyFields = ['number', 'name', 'title', 'short_description', 'display_value'];
-        const shownFields = [];
-        
-        keyFields.forEach(field => {
-          if (record[field] && record[field] !== '') {
-            text += `   ${field}: ${record[field]}\n`;
-            shownFields.push(field);
-          }
-        });
-        
-        // Show other important fields
-        Object.keys(record).forEach(field => {
-          if (!shownFields.includes(field) && 
-              !field.startsWith('sys_') && 
-              field !== 'sys_id' && 
-              record[field] && 
-              record[field] !== '') {
-            text += `   ${field}: ${record[field]}\n`;
-          }
-        });
-        
-        text += `   sys_created_on: ${record.sys_created_on}\n\n`;
-      });
-    }
-    
-    return {
-      content: [
-        {
-          type: 'text',
-          text: text
-        }
-      ]
-    };
+    return toolResult(text, { table, ...getPageData(page), records });
   } catch (error) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error querying table "${args.table}": ${error.message}`
-        }
-      ],
-      isError: true
-    };
+    return toolError(`Error querying table "${args.table}": ${error.message}`);
+  }
+}
+
+async function handleQueryAll(serviceNowClient, args) {
+  const { table, query, fields, offset = 0, order_by, max_records = FETCH_ALL_MAX_RECORDS } = args;
+  const maxRecords = Math.min(max_records, FETCH_ALL_MAX_RECORDS);
+
+  const fetched = await serviceNowClient.queryAll(table, {
+    query,
+    fields,
+    orderBy: order_by,
+    offset,
+    maxRecords,
+    pageSize: FETCH_ALL_PAGE_SIZE,
+    // Records past a full response would only be dropped again
+    until: (records) => exceedsBudget(records, args, serviceNowClient.env),
+    ...getReadOptions(args)
+  });
+  const { totalCount, truncated } = fetched;
+  const { records, omitted, text: recordsText } = fitRecordPage(fetched.records, args, serviceNowClient.env, (page) => renderPage(page, args));
+  const count = records.length;
+  const nextOffset = truncated || omitted ? offset + count : null;
+
+  let text = `Fetched ${count + omitted} record(s) from table "${table}"`;
+  if (totalCount !== null) {
+    text += ` (total matching: ${totalCount})`;
+  }
+  if (truncated && !omitted && fetched.records.length >= maxRecords) {
+    text += `. Stopped at the ${maxRecords} record limit; continue with offset=${nextOffset}`;
+  } else if (nextOffset !== null) {
+    text += `. Showing the first ${count}; the rest did not fit the response size limit, use offset=${nextOffset} (or raise max_chars)`;
   }
+  text += ':\n\n';
+  text += count ? recordsText : 'No records found matching the criteria.';
+
+  return toolResult(text, { table, count, total_count: totalCount, truncated: truncated || omitted > 0, next_offset: nextOffset, omitted, records });
+}
+
+function renderPage(records, args) {
+  return args.format ? renderRecords(records, args) : formatRecords(records);
+}
+
+function formatRecords(records) {
+  let text = '';
+  records.map(flattenRecord).forEach((record, index) => {
+    text += `${index + 1}. Record ${record.sys_id}:\n`;
+    
+    // Show key fields if available
+    const keyFields = ['number', 'name', 'title', 'short_description', 'display_value'];
+    const shownFields = [];
+    
+    keyFields.forEach(field => {
+      if (record[field] && record[field] !== '') {
+        text += `   ${field}: ${record[field]}\n`;
+        shownFields.push(field);
+      }
+    });
+    
+    // Show other important fields
+    Object.keys(record).forEach(field => {
+      if (!shownFields.includes(field) && 
+          !field.startsWith('sys_') && 
+          field !== 'sys_id' && 
+          record[field] && 
+          record[field] !== '') {
+        text += `   ${field}: ${record[field]}\n`;
+      }
+    });
+    
+    text += `   sys_created_on: ${record.sys_created_on}\n\n`;
+  });
+  return text;
 }
 
 async function handleGetRecord(serviceNowClient, args) {
   try {
     const { table, sys_id, fields } = args;
-    const result = await serviceNowClient.getRecord(table, sys_id, fields);
+    const result = await serviceNowClient.getRecord(table, sys_id, fields, getReadOptions(args));
+    const record = fitRecord(result.result, args, serviceNowClient.env);
     
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Successfully retrieved record from table "${table}" (sys_id: ${sys_id}):\n\n${JSON.stringify(result.result, null, 2)}`
-        }
-      ]
-    };
+    return toolResult(`Successfully retrieved record from table "${table}" (sys_id: ${sys_id}):\n\n${renderRecord(record, args)}`, { table, record });
   } catch (error) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error retrieving record from table "${args.table}": ${error.message}`
-        }
-      ],
-      isError: true
-    };
+    return toolError(`Error retrieving record from table "${args.table}": ${error.message}`);
   }
 }
 
 async function handleCreateRecord(serviceNowClient, args) {
   try {
-    const { table, data } = args;
+    const { table, data, dry_run } = args;
+    const refusal = checkWritePolicy(table, Object.keys(data || {}), serviceNowClient.env);
+    if (refusal) {
+      return writePolicyRefusal(refusal);
+    }
+    if (isDryRun(dry_run, serviceNowClient.env)) {
+      return await previewWrite(serviceNowClient, { table, data });
+    }
     const result = await serviceNowClient.createRecord(table, data);
+    const record = fitRecord(result.result, args, serviceNowClient.env);
     
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Successfully created record in table "${table}" (sys_id: ${result.result.sys_id}):\n\n${JSON.stringify(result.result, null, 2)}`
-        }
-      ]
-    };
+    return toolResult(`Successfully created record in table "${table}" (sys_id: ${result.result.sys_id}):\n\n${JSON.stringify(record, null, 2)}`, { table, record });
   } catch (error) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error creating record in table "${args.table}": ${error.message}`
-        }
-      ],
-      isError: true
-    };
+    return toolError(`Error creating record in table "${args.table}": ${error.message}`);
   }
 }
 
 async function handleUpdateRecord(serviceNowClient, args) {
   try {
-    const { table, sys_id, data } = args;
-    const result = await serviceNowClient.updateRecord(table, sys_id, data);
+    const { table, sys_id, data, dry_run, ...concurrency } = args;
+    const { options } = splitUpdateArgs(concurrency);
+    const refusal = checkWritePolicy(table, Object.keys(data || {}), serviceNowClient.env);
+    if (refusal) {
+      return writePolicyRefusal(refusal);
+    }
+    if (isDryRun(dry_run, serviceNowClient.env)) {
+      return await previewWrite(serviceNowClient, { table, sysId: sys_id, data, options });
+    }
+    const result = await serviceNowClient.updateRecord(table, sys_id, data, options);
+    const record = fitRecord(result.result, args, serviceNowClient.env);
     
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Successfully updated record in table "${table}" (sys_id: ${sys_id}):\n\n${JSON.stringify(result.result, null, 2)}`
-        }
-      ]
-    };
+    return toolResult(`Successfully updated record in table "${table}" (sys_id: ${sys_id}):\n\n${JSON.stringify(record, null, 2)}`, { table, record });
   } catch (error) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error updating record in table "${args.table}": ${error.message}`
-        }
-      ],
-      isError: true
-    };
+    return toolError(`Error updating record in table "${args.table}": ${error.message}`);
+  }
+}
+
+function writePolicyRefusal(reason) {
+  return toolError(`Write refused: ${reason}.`);
+}
+
+async function handleDeleteRecord(serviceNowClient, args) {
+  const { table, sys_id, confirm_sys_id } = args;
+  try {
+    const protectedRule = findMatchingPattern(table, getProtectedTables(serviceNowClient.env));
+    if (protectedRule) {
+      return toolError(`Refusing to delete from table "${table}": it matches the protected table rule "${protectedRule}" (SERVICENOW_PROTECTED_TABLES).`);
+    }
+
+    // Always fetch first so the caller sees exactly what is about to disappear
+    const existing = await serviceNowClient.getRecord(table, sys_id, null, { cache: false });
+    const record = fitRecord(existing.result, args, serviceNowClient.env);
+    const recordText = JSON.stringify(record, null, 2);
+
+    if (confirm_sys_id !== sys_id) {
+      const reason = confirm_sys_id
+        ? `confirm_sys_id "${confirm_sys_id}" does not match sys_id "${sys_id}"`
+        : 'no confirm_sys_id was given';
+      return toolResult(`Record NOT deleted (${reason}). To delete this record from table "${table}", call servicenow_delete_record again with confirm_sys_id: "${sys_id}".\n\n${recordText}`, { table, deleted: false, reason, record });
+    }
+
+    try {
+      await serviceNowClient.deleteRecord(table, sys_id);
+    } catch (error) {
+      await writeAuditEntry({ tool: 'servicenow_delete_record', instance: serviceNowClient.instanceUrl, profile: serviceNowClient.profile, table, sys_id, prior_values: existing.result, outcome: 'error', error: error.message }, serviceNowClient.env);
+      throw error;
+    }
+    await writeAuditEntry({ tool: 'servicenow_delete_record', instance: serviceNowClient.instanceUrl, profile: serviceNowClient.profile, table, sys_id, prior_values: existing.result, outcome: 'success' }, serviceNowClient.env);
+
+    return toolResult(`Successfully deleted record from table "${table}" (sys_id: ${sys_id}). Deleted record:\n\n${recordText}`, { table, deleted: true, record });
+  } catch (error) {
+    return toolError(`Error deleting record from table "${table}": ${error.message}`);
   }
 }
 
@@ -289,69 +381,59 @@ async function handleTableSchema(serviceNowClient, args) {
     const fields = 'element,column_label,internal_type,max_length,mandatory,reference,choice_field,default_value,comments';
     const result = await serviceNowClient.queryTable('sys_dictionary', query, fields, 1000, 0, 'element');
     
-    const fieldDefinitions = result.result;
+    const { records: fieldDefinitions, omitted, text: fieldsText } = fitRecordPage(result.result, args, serviceNowClient.env, (page) => (args.format ? renderRecords(page, args) : formatFieldDefinitions(page)));
     const count = fieldDefinitions.length;
     
-    let text = `Schema for table "${table}" (${count} fields):\n\n`;
-    
-    if (count === 0) {
-      text += 'No field definitions found for this table.';
-    } else {
-      fieldDefinitions.forEach((field, index) => {
-        if (field.element && field.element !== '') {
-          text += `${index + 1}. ${field.element}`;
-          if (field.column_label) {
-            text += ` (${field.column_label})`;
-          }
-          text += '\n';
-          
-          text += `   Type: ${field.internal_type}`;
-          if (field.max_length && field.max_length !== '0') {
-            text += ` (max length: ${field.max_length})`;
-          }
-          if (field.mandatory === 'true') {
-            text += ' - MANDATORY';
-          }
-          text += '\n';
-          
-          if (field.reference) {
-            text += `   Reference: ${field.reference}\n`;
-          }
-          
-          if (field.choice_field === 'true') {
-            text += `   Choice field: Yes\n`;
-          }
-          
-          if (field.default_value) {
-            text += `   Default: ${field.default_value}\n`;
-          }
-          
-          if (field.comments) {
-            text += `   Description: ${field.comments}\n`;
-          }
-          
-          text += '\n';
-        }
-      });
+    let text = `Schema for table "${table}" (${count + omitted} fields`;
+    if (omitted) {
+      text += `; showing the first ${count}, ${omitted} more cut to fit the response size limit, raise max_chars to see them`;
     }
+    text += '):\n\n';
+    text += count ? fieldsText : 'No field definitions found for this table.';
     
-    return {
-      content: [
-        {
-          type: 'text',
-          text: text
-        }
-      ]
-    };
+    return toolResult(text, { table, fields: fieldDefinitions, omitted });
   } catch (error) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error retrieving schema for table "${args.table}": ${error.message}`
-        }
-      ],
-      isError: true
-    };
+    return toolError(`Error retrieving schema for table "${args.table}": ${error.message}`);
   }
 }
+
+function formatFieldDefinitions(fields) {
+  let text = '';
+  fields.forEach((field, index) => {
+    if (field.element && field.element !== '') {
+      text += `${index + 1}. ${field.element}`;
+      if (field.column_label) {
+        text += ` (${field.column_label})`;
+      }
+      text += '\n';
+      
+      text += `   Type: ${field.internal_type}`;
+      if (field.max_length && field.max_length !== '0') {
+        text += ` (max length: ${field.max_length})`;
+      }
+      if (field.mandatory === 'true') {
+        text += ' - MANDATORY';
+      }
+      text += '\n';
+      
+      if (field.reference) {
+        text += `   Reference: ${field.reference}\n`;
+      }
+      
+      if (field.choice_field === 'true') {
+        text += `   Choice field: Yes\n`;
+      }
+      
+      if (field.default_value) {
+        text += `   Default: ${field.default_value}\n`;
+      }
+      
+      if (field.comments) {
+        text += `   Description: ${field.comments}\n`;
+      }
+      
+      text += '\n';
+    }
+  });
+  return text;
+}
@@ -0,0 +1,113 @@
+// Table name rules shared by tools that restrict which tables they touch
+
+import { readFileSync } from 'fs';
+
+// Tables delete operations refuse unless SERVICENOW_PROTECTED_TABLES overrides them
+const DEFAULT_PROTECTED_TABLES = ['sys_user', 'sys_script_include', 'sys_pd_*'];
+
+/**
+ * @param {Object} env - Settings of the connection profile
+ * @returns {string[]} Table patterns deletes are refused on
+ */
+export function getProtectedTables(env) {
+  const configured = env.SERVICENOW_PROTECTED_TABLES;
+  if (configured === undefined) {
+    return DEFAULT_PROTECTED_TABLES;
+  }
+  return parseTableList(configured);
+}
+
+export function parseTableList(value) {
+  return value.split(',').map((t) => t.trim()).filter(Boolean);
+}
+
+// Table patterns support "*" wildcards, e.g. "sys_pd_*"
+export function matchesTablePattern(table, pattern) {
+  const escaped = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`).test(table);
+}
+
+/**
+ * @returns {string|undefined} The first pattern matching the table
+ */
+export function findMatchingPattern(table, patterns) {
+  return patterns.find((pattern) => matchesTablePattern(table, pattern));
+}
+
+// Used by the generic write tools when SERVICENOW_WRITE_POLICY is not set: any
+// table except security, configuration and code tables
+const DEFAULT_WRITE_POLICY = {
+  tables: { '*': '*' },
+  deny: ['sys_user_has_role', 'sys_user_grmember', 'sys_properties', 'sys_script*', 'sys_security_acl*', 'sys_ui_script', 'oauth_*'],
+  source: 'default write policy (set SERVICENOW_WRITE_POLICY to replace it)'
+};
+
+const loadedWritePolicies = new Map();
+
+function loadWritePolicy(path) {
+  let policy;
+  try {
+    policy = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read write policy ${path}: ${error.message}`);
+  }
+
+  const tables = policy.tables || {};
+  const deny = policy.deny || [];
+  if (typeof tables !== 'object' || Array.isArray(tables) || !Array.isArray(deny)) {
+    throw new Error(`Invalid write policy ${path}: "tables" must be an object and "deny" an array`);
+  }
+  for (const [pattern, fields] of Object.entries(tables)) {
+    if (fields !== '*' && !(Array.isArray(fields) && fields.every((field) => typeof field === 'string'))) {
+      throw new Error(`Invalid write policy ${path}: rule "${pattern}" must be "*" or a list of field names`);
+    }
+  }
+  return { tables, deny, source: `write policy ${path} (SERVICENOW_WRITE_POLICY)` };
+}
+
+/**
+ * The table/field write policy of the generic write tools. SERVICENOW_WRITE_POLICY
+ * names a JSON file such as
+ * { "tables": { "incident": "*", "problem": ["short_description", "state"] }, "deny": ["sys_*"] }
+ * @param {Object} env - Settings of the connection profile
+ * @returns {{tables: Object<string, string|string[]>, deny: string[], source: string}}
+ */
+export function getWritePolicy(env) {
+  const path = env.SERVICENOW_WRITE_POLICY;
+  if (!path) {
+    return DEFAULT_WRITE_POLICY;
+  }
+  if (!loadedWritePolicies.has(path)) {
+    loadedWritePolicies.set(path, loadWritePolicy(path));
+  }
+  return loadedWritePolicies.get(path);
+}
+
+/**
+ * Check a write against the write policy.
+ * @param {string} table
+ * @param {string[]} fields - Fields the write sets
+ * @param {Object} env - Settings of the connection profile
+ * @returns {string|null} Why the write is refused, naming the rule, or null when it is allowed
+ */
+export function checkWritePolicy(table, fields, env) {
+  const policy = getWritePolicy(env);
+
+  const denied = findMatchingPattern(table, policy.deny);
+  if (denied) {
+    return `table "${table}" matches the deny rule "${denied}" of the ${policy.source}`;
+  }
+
+  // An exact table rule takes precedence over wildcard rules
+  const rule = Object.hasOwn(policy.tables, table) ? table : findMatchingPattern(table, Object.keys(policy.tables));
+  if (!rule) {
+    return `table "${table}" is not listed in the ${policy.source}`;
+  }
+
+  const allowed = policy.tables[rule];
+  const blocked = allowed === '*' ? [] : fields.filter((field) => !allowed.includes(field));
+  if (blocked.length) {
+    return `field(s) ${blocked.join(', ')} of "${table}" are not writable under the rule "${rule}" of the ${policy.source}; writable fields: ${allowed.join(', ') || 'none'}`;
+  }
+  return null;
+}
@@ -0,0 +1,43 @@
+// Shared arguments for tools that update existing records
+
+// Input schema properties for the optimistic concurrency check
+export const CONCURRENCY_PROPERTIES = {
+  expected_sys_updated_on: {
+    type: 'string',
+    description: 'sys_updated_on from a prior read; the update is refused if the record has been changed since (optional)'
+  },
+  expected_sys_mod_count: {
+    type: ['integer', 'string'],
+    description: 'sys_mod_count from a prior read, as a number or as the string the Table API returns; the update is refused if the record has been changed since (optional)',
+    minimum: 0
+  }
+};
+
+// The Table API returns sys_mod_count as a string such as "12"
+function parseModCount(value) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  const count = typeof value === 'string' && /^\s*\d+\s*$/.test(value) ? Number(value) : value;
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`expected_sys_mod_count must be a non-negative integer, got "${value}"`);
+  }
+  return count;
+}
+
+/**
+ * Split update tool arguments into the record fields to write and the
+ * ServiceNowClient.updateRecord options.
+ * @param {Object} fields - Tool arguments without sys_id
+ * @returns {{data: Object, options: {expectedUpdatedOn: string|undefined, expectedModCount: number|undefined}}}
+ */
+export function splitUpdateArgs(fields) {
+  const { expected_sys_updated_on, expected_sys_mod_count, ...data } = fields;
+  return {
+    data,
+    options: {
+      expectedUpdatedOn: expected_sys_updated_on,
+      expectedModCount: parseModCount(expected_sys_mod_count)
+    }
+  };
+}
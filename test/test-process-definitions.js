@@ -2,7 +2,11 @@
 
 import dotenv from 'dotenv';
 import { ServiceNowClient } from '../src/servicenow-client.js';
-import { handleProcessDefinitionTools } from './src/tools/process-definitions.js';
+import { processDefinitionToolHandlers } from '../src/tools/process-definitions.js';
+import { toCallToolResult } from '../src/tools/results.js';
+
+const handleProcessDefinitionTools = async (client, toolName, args) =>
+  toCallToolResult(await processDefinitionToolHandlers[toolName](client, args));
 
 // Load environment variables
 dotenv.config();
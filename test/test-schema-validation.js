@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+// Offline checks for tool argument validation against input schemas; needs no instance
+
+import assert from 'node:assert/strict';
+import { validateSchema } from '../src/schema-validation.js';
+import { createToolRegistry } from '../src/tool-registry.js';
+
+const registry = createToolRegistry();
+
+function toolSchema(name) {
+  return registry.get(name).definition.inputSchema;
+}
+
+const checks = {
+  'accepts valid arguments'() {
+    assert.deepEqual(validateSchema(toolSchema('servicenow_query_table'), { table: 'incident', limit: 10, format: 'csv' }), []);
+    assert.deepEqual(validateSchema(toolSchema('servicenow_update_record'), { table: 'incident', sys_id: 'a1', data: { state: '2' }, expected_sys_mod_count: 3 }), []);
+  },
+
+  'reports a wrong type with the property path'() {
+    assert.deepEqual(validateSchema(toolSchema('servicenow_query_table'), { table: 'incident', limit: '10' }), [
+      'limit: must be number, got string'
+    ]);
+    assert.deepEqual(validateSchema(toolSchema('servicenow_update_record'), { table: 'incident', sys_id: 'a1', data: [] }), [
+      'data: must be object, got array'
+    ]);
+  },
+
+  'reports every missing required property'() {
+    assert.deepEqual(validateSchema(toolSchema('servicenow_get_record'), {}), [
+      'table: required property is missing',
+      'sys_id: required property is missing'
+    ]);
+  },
+
+  'reports an unknown enum value'() {
+    assert.deepEqual(validateSchema(toolSchema('servicenow_query_table'), { table: 'incident', format: 'xml' }), [
+      'format: must be one of "markdown", "csv", "json", "compact", got "xml"'
+    ]);
+  },
+
+  'checks type lists, bounds and nested items'() {
+    const schema = {
+      type: 'object',
+      properties: {
+        count: { type: ['integer', 'string'], minimum: 0 },
+        items: {
+          type: 'array',
+          maxItems: 2,
+          items: { type: 'object', properties: { op: { type: 'string', enum: ['get', 'delete'] } }, required: ['op'] }
+        }
+      },
+      additionalProperties: false
+    };
+    assert.deepEqual(validateSchema(schema, { count: '7', items: [{ op: 'get' }] }), []);
+    assert.deepEqual(validateSchema(schema, { count: 1.5, items: [{ op: 'put' }, {}, { op: 'get' }], extra: true }), [
+      'count: must be integer or string, got number',
+      'items: must contain at most 2 item(s), got 3',
+      'items[0].op: must be one of "get", "delete", got "put"',
+      'items[1].op: required property is missing',
+      'extra: unknown property'
+    ]);
+    assert.deepEqual(validateSchema(schema, { count: -1 }), ['count: must be at least 0, got -1']);
+  }
+};
+
+let failed = 0;
+for (const [name, check] of Object.entries(checks)) {
+  try {
+    await check();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`❌ ${name}\n${error.message}`);
+  }
+}
+console.log(`\n${Object.keys(checks).length - failed} of ${Object.keys(checks).length} schema validation checks passed`);
+process.exit(failed ? 1 : 0);